@@ -12,26 +12,154 @@ const LS_ITEMS = 'rsp_items';              // 備蓄アイテムデータ
 const LS_ALERT_MONTHS = 'rsp_alert_months'; // 警告閾値（月数）
 const LS_FAMILY = 'rsp_family';            // 家族構成データ
 const LS_THEME = 'rsp_theme';              // テーマ設定（dark/light）
+const LS_LEDGER = 'rsp_ledger';            // 入出庫履歴（消費・補充・修正）
+const LS_SHOPPING = 'rsp_shopping';        // 買い物リスト
+const LS_LOCATIONS = 'rsp_locations';      // 保管場所の一覧
+const LS_GOBAGS = 'rsp_gobags';            // 非常用持ち出し袋
+const LS_NEED_RATES = 'rsp_need_rates';    // 必要量の基準（区分ごとの水・カロリー）
+const LS_CATALOG = 'rsp_catalog';          // 商品カタログ（ユーザー登録分）
+const LS_BARCODES = 'rsp_barcodes';        // バーコード商品表（JANコード → 商品）
+const LS_ESSENTIALS = 'rsp_essentials';    // 生活必需品の基準（品目ごとの1日量・使用有無）
+const LS_HISTORY = 'rsp_history';          // 備蓄状況の推移（1日1件の記録）
+const LS_ADVISOR_RULES = 'rsp_advisor_rules'; // アドバイザーのルール設定（無効にしたルール・追加ルール）
+const LS_SCHEMA_VERSION = 'rsp_schema_version'; // 保存データのスキーマバージョン
+
+// 現在のデータスキーマのバージョン（エクスポートファイルの meta.ver と共通）
+const SCHEMA_VERSION = 18;
+
+// 保存データの項目 → [LocalStorageのキー, 未保存のときの値]（起動時の読み込みと、移行後の保存し直しで共通）
+const STORED_SECTIONS = {
+  items: [LS_ITEMS, []],
+  ledger: [LS_LEDGER, []],
+  shopping: [LS_SHOPPING, []],
+  family: [LS_FAMILY, null],
+  alertMonths: [LS_ALERT_MONTHS, null],
+  locations: [LS_LOCATIONS, null],
+  goBags: [LS_GOBAGS, []],
+  needRates: [LS_NEED_RATES, null],
+  catalog: [LS_CATALOG, []],
+  barcodes: [LS_BARCODES, []],
+  essentials: [LS_ESSENTIALS, null],
+  healthHistory: [LS_HISTORY, []],
+  advisorRules: [LS_ADVISOR_RULES, null]
+};
+
+// 栄養素（食品1単位あたりのグラム数で記録。1人1日あたりの目標は memberNutrientTargets）
+// limit: true は上限の目安（食塩相当量は摂り過ぎに注意する項目）
+const NUTRIENTS = [
+  { key: 'protein', label: 'たんぱく質' },
+  { key: 'fat', label: '脂質' },
+  { key: 'carbs', label: '炭水化物' },
+  { key: 'salt', label: '食塩相当量', limit: true },
+  { key: 'fiber', label: '食物繊維' }
+];
+
+// アレルゲン（食品表示基準の特定原材料8品目）。アイテムの allergens・メンバーの restrictions に使用
+const ALLERGENS = [
+  { key: 'shrimp', label: 'えび' },
+  { key: 'crab', label: 'かに' },
+  { key: 'walnut', label: 'くるみ' },
+  { key: 'wheat', label: '小麦' },
+  { key: 'buckwheat', label: 'そば' },
+  { key: 'egg', label: '卵' },
+  { key: 'milk', label: '乳' },
+  { key: 'peanut', label: '落花生' }
+];
+
+// カテゴリ（内部キー）。アイテム・買い物リスト・カタログの検証と表示で共通に使う
+const CATEGORIES = ['food', 'water', 'medicine', 'pet-food', 'daily', 'tool', 'other'];
+
+// 単位の換算（基準：体積は ml、重さは g）。ここにない単位は個数（本・缶・袋など）として扱う
+// キーは NFKC 正規化・小文字化した単位（ℓ → l、㎖ → ml、ｋｇ → kg）
+const UNIT_FACTORS = {
+  ml: { dimension: 'volume', factor: 1 },
+  cc: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  'リットル': { dimension: 'volume', factor: 1000 },
+  g: { dimension: 'mass', factor: 1 },
+  'グラム': { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  'キロ': { dimension: 'mass', factor: 1000 }
+};
+
+// 内容量（個数の単位1つあたりの量）に使える単位
+const PACKAGE_UNITS = ['ml', 'L', 'g', 'kg'];
+
+// 生活必需品（食料・水以外で日数分の備蓄が必要なもの）。perDay は1日あたりの既定値（essentials で変更可能）
+// basis は数え方：person 1人あたり / household 世帯で1つ / menstruating 10〜55歳の女性1人あたり
+// maxDays は想定日数が長くても必要な日数の上限（生理用品は1周期分）
+// units は unit と1対1で数えるアイテムの単位（パック・箱などはアイテムの essentialPerUnit で換算）
+// keywords は品名からアイテムの区分を推定するための語（「予備電池」「紙ナプキン」などに一致しないよう品目名そのものに限る）
+const ESSENTIALS = [
+  { key: 'toilet', label: '簡易トイレ', category: 'daily', unit: '回', units: ['回', '回分', '個'], perDay: 5, basis: 'person', keywords: ['簡易トイレ', '携帯トイレ', '非常用トイレ'] },
+  { key: 'toilet-paper', label: 'トイレットペーパー', category: 'daily', unit: 'ロール', units: ['ロール', '個'], perDay: 0.15, basis: 'person', keywords: ['トイレットペーパー'] },
+  { key: 'gas', label: 'カセットボンベ', category: 'tool', unit: '本', units: ['本'], perDay: 0.2, basis: 'person', keywords: ['カセットボンベ', 'ガスボンベ'] },
+  { key: 'battery', label: '乾電池', category: 'tool', unit: '本', units: ['本', '個'], perDay: 2, basis: 'household', keywords: ['乾電池', 'アルカリ電池', 'マンガン電池'] },
+  { key: 'sanitary', label: '生理用品', category: 'daily', unit: '枚', units: ['枚', '個'], perDay: 6, basis: 'menstruating', maxDays: 7, keywords: ['生理用品', '生理用ナプキン', 'タンポン'] }
+];
+
+// 総合評価（良い順）。アドバイザーの判定と推移の記録で使う
+const HEALTH_GRADES = ['優秀', '良好', '要改善', '緊急対応必要'];
+
+// 総合評価の判定方法（1＝充足率と期限切れの件数による旧判定、2＝アドバイザーのルールのスコア）。推移の記録ごとに残す
+const HEALTH_SCORING_VERSION = 2;
+
+// 生活必需品の数え方の表示
+const ESSENTIAL_BASIS_LABELS = { person: '1人1日あたり', household: '世帯で1日あたり', menstruating: '10〜55歳の女性1人1日あたり' };
 
 /* ===============================
    State
 
    アプリケーションの状態を保持するグローバル変数
 ==================================*/
-// 備蓄アイテムリスト（起動時にLocalStorageから読み込み＋検証）
-let items = validateItems(loadJSON(LS_ITEMS, []));
+// 新しいバージョンのアプリで保存したデータを開いたときは true（保存しない。loadStoredData で設定）
+let storageReadOnly = false;
+
+// 起動時にLocalStorageから読み込み（スキーマの移行＋検証）
+const stored = loadStoredData();
+
+// 備蓄アイテムリスト
+let items = stored.items;
+
+// 入出庫履歴（ロットの数量はこの履歴から算出）
+let ledger = stored.ledger;
+syncLedger();
+
+// 買い物リスト
+let shopping = stored.shopping;
 
 // 警告閾値（月数）デフォルト2ヶ月
-let alertMonths = validateAlertMonths(parseInt(localStorage.getItem(LS_ALERT_MONTHS) || '2', 10));
+let alertMonths = stored.alertMonths;
+
+// 家族構成（メンバー一覧：人・犬・猫ごとのプロフィール、想定日数）
+let family = stored.family;
+
+// 保管場所の一覧（自宅・車・職場など、ユーザーが追加・削除可能）
+let locations = stored.locations;
+
+// 非常用持ち出し袋（家族1人ずつ＋ペット用）
+let goBags = stored.goBags;
+
+// 必要量の基準（区分ごとの水・カロリー。null は年齢・性別・体重から自動算出）
+let needRates = stored.needRates;
 
-// 家族構成（人間：成人/子ども/高齢者、ペット：犬/猫、想定日数）
-let family = validateFamily(loadJSON(LS_FAMILY, {
-  adults: 1, children: 0, seniors: 0,
-  dogs: 0, cats: 0, days: 7
-}));
+// 商品カタログのユーザー登録分（組み込みのカタログは CATALOG_BUILTIN）
+let catalog = stored.catalog;
 
-// Chart.jsインスタンス（カテゴリ別円グラフ、水充足率棒グラフ、カロリー充足率棒グラフ）
-let categoryChart, waterChart, kcalChart;
+// バーコード商品表（アイテム保存時に自動登録、JSONで読み込み・書き出し）
+let barcodes = stored.barcodes;
+
+// 生活必需品の基準（品目ごとの1日量。null は ESSENTIALS の既定値）
+let essentials = stored.essentials;
+
+// 備蓄状況の推移（日付順、1日1件）
+let healthHistory = stored.healthHistory;
+
+// アドバイザーのルール設定（{ disabled: [ルールID], custom: [追加ルール] }）
+let advisorRules = stored.advisorRules;
+
+// Chart.jsインスタンス（カテゴリ別円グラフ、水充足率棒グラフ、カロリー充足率棒グラフ、栄養素充足率棒グラフ、ペットフード充足率棒グラフ、生活必需品の備蓄日数棒グラフ、被災シミュレーション折れ線グラフ、推移グラフ）
+let categoryChart, waterChart, kcalChart, nutrientChart, petChart, essentialChart, scenarioChart, trendChart;
 
 // ページネーション設定
 const ITEMS_PER_PAGE = 50;  // 1ページあたりの表示件数
@@ -59,7 +187,11 @@ function loadJSON(key, def) {
  * @param {string} key - LocalStorageのキー
  * @param {*} val - 保存する値（JSON.stringifyされる）
  */
-function saveJSON(key, val) { localStorage.setItem(key, JSON.stringify(val)); }
+function saveJSON(key, val) {
+  // 新しいバージョンのデータを読み取り専用で開いているときは上書きしない
+  if(storageReadOnly) return;
+  localStorage.setItem(key, JSON.stringify(val));
+}
 
 /* ===============================
    Validation Functions
@@ -70,44 +202,491 @@ function saveJSON(key, val) { localStorage.setItem(key, JSON.stringify(val)); }
 
 /**
  * アイテムデータの検証とサニタイズ
- * - カテゴリをホワイトリストで検証
- * - 文字列長を制限（XSS対策）
- * - 数値の範囲チェック
+ * 規則は checkItem にまとめ、CSV取り込みのプレビューと共通にする
  * @param {Array} data - 検証するアイテム配列
  * @returns {Array} 検証済みアイテム配列
  */
 function validateItems(data) {
   if(!Array.isArray(data)) return [];
-  const validCategories = ['food', 'water', 'medicine', 'pet-food', 'daily', 'tool', 'other'];
-  return data.filter(item => item && typeof item === 'object').map(item => ({
-    name: String(item.name || '').trim().substring(0, 200),    // 最大200文字
-    category: validCategories.includes(item.category) ? item.category : 'other',
-    quantity: Math.max(0, parseFloat(item.quantity) || 0),     // 非負数
-    unit: String(item.unit || '').trim().substring(0, 50),     // 最大50文字
-    expiry: String(item.expiry || '').substring(0, 20),        // ISO 8601形式
-    kcal: item.kcal != null ? Math.max(0, parseFloat(item.kcal) || 0) : null,
-    createdAt: Number(item.createdAt) || Date.now()
-  })).filter(item => item.name);  // 名前なしは除外
+  return data.filter(item => item && typeof item === 'object')
+    .map(item => checkItem(item).item)
+    .filter(item => item.name);  // 名前なしは除外
+}
+
+/**
+ * アイテム1件の検証規則（validateItems と CSV取り込みのプレビューで共通）
+ * - カテゴリをホワイトリストで検証
+ * - 文字列長を制限（XSS対策）
+ * - 数値の範囲チェック
+ * - 数量・期限はロット（lots）単位で保持
+ * 補正・除外した項目は理由を errors に残す（validateItems は補正後の値を使い、CSVは理由のある行を取り込まない）
+ * @param {Object} item - 検証前のアイテム
+ * @returns {Object} { item: 検証済みアイテム, errors: 理由の配列（問題なければ空） }
+ */
+function checkItem(item) {
+  const errors = [];
+  const text = (v, max, label) => {
+    const str = String(v || '').trim();
+    if(str.length > max) errors.push(`${label}が${max}文字を超えています`);
+    return str.substring(0, max);
+  };
+  const isNonNegative = v => v == null || v === '' || (Number.isFinite(Number(v)) && Number(v) >= 0);
+
+  const name = text(item.name, 200, '品名');                  // 最大200文字
+  if(!name) errors.push('品名が空です');
+  if(!CATEGORIES.includes(item.category)) errors.push(`カテゴリ「${item.category}」は登録できません`);
+  const unit = text(item.unit, 50, '単位');                    // 最大50文字
+  const location = text(item.location, 50, '保管場所');        // 保管場所（未設定は空文字）
+  if(!isNonNegative(item.kcal)) errors.push(`カロリー「${item.kcal}」は0以上の数値ではありません`);
+  for(const a of Array.isArray(item.allergens) ? item.allergens : []){
+    if(!ALLERGENS.some(x => x.key === a)) errors.push(`アレルゲン「${a}」は特定原材料ではありません`);
+  }
+  const packageSize = validPackageSize(item.packageSize);
+  if(item.packageSize != null && !packageSize) errors.push(`内容量「${item.packageSize}」は「2L」「190g」のような量ではありません`);
+  const barcode = normalizeBarcode(item.barcode);
+  if(item.barcode && !isValidBarcode(barcode)) errors.push(`バーコード「${item.barcode}」はJAN/EANコードとして正しくありません`);
+  for(const n of NUTRIENTS){
+    const v = item.nutrients?.[n.key];
+    if(!isNonNegative(v) || Number(v) > 10000) errors.push(`${n.label}「${v}」は0〜10000の数値ではありません`);
+  }
+  if(!isNonNegative(item.minQuantity)) errors.push(`最低在庫「${item.minQuantity}」は0以上の数値ではありません`);
+  if(!isNonNegative(item.targetQuantity)) errors.push(`目標在庫「${item.targetQuantity}」は0以上の数値ではありません`);
+  if(item.essential && !validEssential(item.essential)) errors.push(`生活必需品「${item.essential}」は登録できる品目ではありません`);
+  if(item.essentialPerUnit != null && item.essentialPerUnit !== '' && validEssentialPerUnit(item.essentialPerUnit) == null){
+    errors.push(`1単位あたりの数（生活必需品）「${item.essentialPerUnit}」は0より大きく10000以下の数値ではありません`);
+  }
+  for(const lot of Array.isArray(item.lots) ? item.lots : []){
+    if(!lot || typeof lot !== 'object') continue;
+    if(lot.quantity === '' || !isNonNegative(lot.quantity)) errors.push(`数量「${lot.quantity}」は0以上の数値ではありません`);
+    if(lot.expiry && !parseDate(lot.expiry)) errors.push(`期限「${lot.expiry}」は日付として読み取れません`);
+    if(lot.purchased && !parseDate(lot.purchased)) errors.push(`購入日「${lot.purchased}」は日付として読み取れません`);
+  }
+
+  return {
+    item: {
+      id: validId(item.id),
+      name,
+      category: CATEGORIES.includes(item.category) ? item.category : 'other',
+      unit,
+      location,
+      lots: validateLots(item),
+      kcal: item.kcal != null && item.kcal !== '' ? Math.max(0, parseFloat(item.kcal) || 0) : null,
+      nutrients: validNutrients(item.nutrients),
+      allergens: validAllergens(item.allergens),
+      barcode: isValidBarcode(barcode) ? barcode : '',
+      packageSize,                                      // 内容量（2L入りの「本」など）
+      essential: validEssential(item.essential),        // 生活必需品の区分（未設定は空文字）
+      essentialPerUnit: validEssentialPerUnit(item.essentialPerUnit),  // 1単位あたりの生活必需品の数（1パック＝20枚など）
+      dosage: item.category === 'medicine' ? validDosage(item.dosage) : null,  // 常用薬の服用量（医薬品のみ）
+      ...validStockLevels(item.minQuantity, item.targetQuantity),
+      createdAt: Number(item.createdAt) || Date.now()
+    },
+    errors
+  };
+}
+
+/**
+ * ロット（購入単位）データの検証
+ * - 旧形式（アイテム直下の quantity / expiry）の移行は migrateV1ToV2 で済ませておく
+ * - ロットは最大500件
+ * @param {Object} item - ロットを含むアイテム（未検証）
+ * @returns {Array} 検証済みロット配列 [{ id, purchased, quantity, expiry }]
+ */
+function validateLots(item) {
+  const lots = Array.isArray(item.lots) ? item.lots : [];
+  return lots.filter(lot => lot && typeof lot === 'object').slice(0, 500).map(lot => ({
+    id: validId(lot.id),
+    purchased: String(lot.purchased || '').substring(0, 20),   // ISO 8601形式
+    quantity: Math.max(0, parseFloat(lot.quantity) || 0),      // 非負数
+    expiry: String(lot.expiry || '').substring(0, 20)          // ISO 8601形式
+  }));
+}
+
+/**
+ * 入出庫履歴の検証
+ * - 種別をホワイトリストで検証
+ * - 数量は符号付き（補充は正、消費は負）
+ * @param {Array} data - 検証する履歴配列
+ * @returns {Array} 検証済み履歴配列
+ */
+function validateLedger(data) {
+  if(!Array.isArray(data)) return [];
+  const validTypes = ['restock', 'consume', 'adjust'];
+  return data.filter(m => m && typeof m === 'object').map(m => ({
+    id: validId(m.id),
+    itemId: String(m.itemId || '').substring(0, 40),
+    lotId: String(m.lotId || '').substring(0, 40),
+    expiry: String(m.expiry || '').substring(0, 20),           // ISO 8601形式
+    type: validTypes.includes(m.type) ? m.type : 'adjust',
+    quantity: Number.isFinite(parseFloat(m.quantity)) ? parseFloat(m.quantity) : 0,
+    date: String(m.date || '').substring(0, 20),               // ISO 8601形式
+    note: String(m.note || '').trim().substring(0, 200),       // 最大200文字
+    at: Number(m.at) || Date.now()
+  })).filter(m => m.itemId && m.lotId && m.quantity !== 0);
+}
+
+/**
+ * 買い物リストの検証
+ * - 発生元・カテゴリをホワイトリストで検証
+ * - 文字列長を制限（XSS対策）
+ * @param {Array} data - 検証する行の配列
+ * @returns {Array} 検証済みの行の配列
+ */
+function validateShopping(data) {
+  if(!Array.isArray(data)) return [];
+  const validSources = ['coverage', 'rolling', 'minimum', 'manual'];
+  return data.filter(line => line && typeof line === 'object').slice(0, 1000).map(line => ({
+    id: validId(line.id),
+    name: String(line.name || '').trim().substring(0, 200),    // 最大200文字
+    category: CATEGORIES.includes(line.category) ? line.category : 'other',
+    quantity: Math.max(0, parseFloat(line.quantity) || 0),
+    unit: String(line.unit || '').trim().substring(0, 50),     // 最大50文字
+    kcal: line.kcal != null ? Math.max(0, parseFloat(line.kcal) || 0) : null,
+    source: validSources.includes(line.source) ? line.source : 'manual',
+    refId: String(line.refId || '').substring(0, 60),
+    itemId: String(line.itemId || '').substring(0, 40),
+    essential: validEssential(line.essential),                  // 生活必需品の区分（在庫へ登録するアイテムに引き継ぐ）
+    note: String(line.note || '').trim().substring(0, 200),
+    done: Boolean(line.done),
+    createdAt: Number(line.createdAt) || Date.now()
+  })).filter(line => line.name);
+}
+
+/**
+ * IDの検証（英数字・ハイフン・アンダースコアのみ、不正なら新規発行）
+ * @param {*} id - 検証するID
+ * @returns {string} 検証済みID
+ */
+function validId(id) {
+  return /^[\w-]{1,40}$/.test(String(id ?? '')) ? String(id) : uid();
+}
+
+/**
+ * 最低在庫・目標在庫の検証
+ * - いずれも任意（未設定は null）、非負数
+ * - 目標在庫は最低在庫以上に補正
+ * @param {*} min - 最低在庫
+ * @param {*} target - 目標在庫
+ * @returns {Object} { minQuantity, targetQuantity }
+ */
+function validStockLevels(min, target) {
+  const parse = v => (v == null || v === '') ? null : Math.max(0, parseFloat(v) || 0);
+  const minQuantity = parse(min);
+  let targetQuantity = parse(target);
+  if(targetQuantity != null && minQuantity != null) targetQuantity = Math.max(targetQuantity, minQuantity);
+  return { minQuantity, targetQuantity };
+}
+
+/**
+ * アレルゲンの一覧の検証
+ * - ALLERGENS のキーのみ、重複は除外（ALLERGENS の順に並べる）
+ * @param {Array} data - 検証するキーの配列
+ * @returns {Array<string>} 検証済みのキーの配列
+ */
+function validAllergens(data) {
+  const keys = Array.isArray(data) ? data.map(String) : [];
+  return ALLERGENS.map(a => a.key).filter(k => keys.includes(k));
+}
+
+/**
+ * 生活必需品の区分の検証
+ * @param {*} key - ESSENTIALS のキー
+ * @returns {string} 検証済みのキー（該当しなければ空文字）
+ */
+function validEssential(key) {
+  return ESSENTIALS.some(e => e.key === key) ? key : '';
+}
+
+/**
+ * 1単位あたりの生活必需品の数の検証（0より大きく10000以下）
+ * @param {*} value - 検証する値
+ * @returns {number|null} 検証済みの数、未設定・不正なら null
+ */
+function validEssentialPerUnit(value) {
+  if(value == null || value === '') return null;
+  const n = Number(value);
+  return n > 0 && n <= 10000 ? n : null;
+}
+
+/**
+ * 品名から生活必需品の区分を推定（「簡易トイレ」「カセットボンベ」などを含むもの）
+ * @param {string} name - 品名
+ * @returns {string} ESSENTIALS のキー（該当しなければ空文字）
+ */
+function essentialForName(name) {
+  return ESSENTIALS.find(e => e.keywords.some(w => String(name || '').includes(w)))?.key || '';
+}
+
+/**
+ * 内容量の検証
+ * - 量は0より大きく100000以下、単位は PACKAGE_UNITS（ml・L・g・kg）のみ
+ * @param {Object} data - 検証する内容量（{ amount, unit }）
+ * @returns {Object|null} 検証済み内容量、未設定・不正なら null
+ */
+function validPackageSize(data) {
+  if(!data || typeof data !== 'object') return null;
+  const amount = Number(data.amount);
+  const unit = PACKAGE_UNITS.find(u => u === data.unit);
+  return amount > 0 && amount <= 100000 && unit ? { amount, unit } : null;
+}
+
+/**
+ * 品名などの文字列から内容量を読み取る（例：「2Lペットボトル」→ 2L、「サバ缶 190g」→ 190g）
+ * @param {string} text - 文字列
+ * @returns {Object|null} 内容量（{ amount, unit }）、読み取れなければ null
+ */
+function parsePackageSize(text) {
+  const m = String(text || '').normalize('NFKC').match(/(\d+(?:\.\d+)?)\s*(ml|cc|l|kg|g)(?![a-z])/i);
+  if(!m) return null;
+  const unit = { ml: 'ml', cc: 'ml', l: 'L', kg: 'kg', g: 'g' }[m[2].toLowerCase()];
+  return validPackageSize({ amount: parseFloat(m[1]), unit });
+}
+
+/**
+ * 品名から内容量を推定（水・ペットフードで、単位が本・袋などの個数の場合のみ）
+ * 既存データの移行とCSV取り込みで、量の計算に関わるアイテムだけを補う
+ * @param {Object} item - アイテム（name, category, unit）
+ * @returns {Object|null} 内容量または null
+ */
+function inferPackageSize(item) {
+  if(!['water', 'pet-food'].includes(item.category) || unitInfo(item.unit).dimension !== 'count') return null;
+  return parsePackageSize(item.name);
+}
+
+/**
+ * 常用薬の服用量の検証
+ * - 1日の服用回数は0.01〜100、1単位（1錠・1箱など）あたりの回数は0.01〜10000（未入力は1）
+ * - 服用する人（memberId）は家族メンバーのID（未設定は空文字）
+ * @param {Object} data - 検証する服用量
+ * @returns {Object|null} 検証済み服用量（{ memberId, perDay, perUnit }）、1日の服用回数がなければ null
+ */
+function validDosage(data) {
+  if(!data || typeof data !== 'object') return null;
+  const perDay = Number(data.perDay);
+  if(!(perDay >= 0.01 && perDay <= 100)) return null;
+  const perUnit = Number(data.perUnit);
+  return {
+    memberId: /^[\w-]{1,40}$/.test(String(data.memberId ?? '')) ? String(data.memberId) : '',
+    perDay,
+    perUnit: perUnit >= 0.01 && perUnit <= 10000 ? perUnit : 1
+  };
+}
+
+/**
+ * バーコードの入力を数字だけに整える（全角数字・空白・ハイフンを許容）
+ * @param {*} value - 入力値
+ * @returns {string} 半角数字の文字列
+ */
+function normalizeBarcode(value) {
+  return String(value ?? '')
+    .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/[\s-]/g, '');
+}
+
+/**
+ * JAN/EANコードのチェックデジット検証
+ * - JAN標準（EAN-13）13桁、JAN短縮（EAN-8）8桁
+ * - 右端のチェックデジットを除き、右から奇数桁 ×3・偶数桁 ×1 の合計から算出
+ * @param {string} code - 半角数字のコード
+ * @returns {boolean} 正しいコードなら true
+ */
+function isValidBarcode(code) {
+  if(!/^(\d{8}|\d{13})$/.test(code)) return false;
+  const digits = [...code].map(Number);
+  const check = digits.pop();
+  const total = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - total % 10) % 10 === check;
+}
+
+/**
+ * 栄養成分（1単位あたりのg）の検証
+ * - NUTRIENTS の項目のみ、0〜10000g
+ * - 未入力の項目は持たない（値のある項目だけのオブジェクト）
+ * @param {Object} data - 検証する栄養成分
+ * @returns {Object} 検証済み栄養成分（例：{ protein: 12.5, salt: 1.2 }）
+ */
+function validNutrients(data) {
+  const result = {};
+  if(!data || typeof data !== 'object') return result;
+  for(const { key } of NUTRIENTS){
+    const v = data[key] == null || data[key] === '' ? NaN : Number(data[key]);
+    if(v >= 0 && v <= 10000) result[key] = v;
+  }
+  return result;
 }
 
 /**
  * 家族構成データの検証
- * - 各人数を0〜100人に制限
- * - 想定日数を許可された値のみに制限
- * @param {Object} data - 検証する家族構成データ
+ * - メンバーは最大100人（匹）、区分・性別・妊娠授乳はホワイトリストで検証
+ * - 年齢は0〜120歳、体重は0.1〜300kg（未入力は null）
+ * - ペットのフードの1日量（foodGrams）は1〜5000g（未入力は null＝体重から自動算出）
+ * - 食事制限（restrictions）は特定原材料のキーのみ
+ * - 想定日数は1〜365日の整数
+ * @param {Object} data - 検証する家族構成データ（{ members, days }）
  * @returns {Object} 検証済み家族構成データ
  */
 function validateFamily(data) {
-  if(!data || typeof data !== 'object') {
-    return { adults: 1, children: 0, seniors: 0, dogs: 0, cats: 0, days: 7 };
+  if(!data || typeof data !== 'object' || !Array.isArray(data.members)) {
+    return { members: [{ id: 'adult-1', name: '成人1', type: 'person', age: 40, sex: '', weight: null, pregnancy: 'none', restrictions: [] }], days: 7 };
+  }
+  const types = { person: '家族', dog: '犬', cat: '猫' };
+  const members = data.members.filter(m => m && typeof m === 'object').slice(0, 100).map((m, i) => {
+    const type = Object.keys(types).includes(m.type) ? m.type : 'person';
+    const sex = ['male', 'female'].includes(m.sex) ? m.sex : '';
+    const weight = parseFloat(m.weight);
+    const foodGrams = parseFloat(m.foodGrams);
+    return {
+      id: validId(m.id),
+      name: String(m.name || '').trim().substring(0, 50) || `${types[type]}${i + 1}`,  // 最大50文字
+      type,
+      age: type === 'person' ? Math.max(0, Math.min(120, parseInt(m.age, 10) || 0)) : 0,
+      sex: type === 'person' ? sex : '',
+      weight: weight > 0 ? Math.min(300, Math.max(0.1, weight)) : null,
+      // 妊娠・授乳は女性のみ
+      pregnancy: type === 'person' && sex === 'female' && ['pregnant', 'lactating'].includes(m.pregnancy) ? m.pregnancy : 'none',
+      // 食べられないアレルゲン（人のみ）
+      restrictions: type === 'person' ? validAllergens(m.restrictions) : [],
+      // フードの1日量（ペットのみ）
+      foodGrams: type !== 'person' && foodGrams >= 1 && foodGrams <= 5000 ? foodGrams : null
+    };
+  });
+  return {
+    members: members.filter((m, i) => members.findIndex(x => x.id === m.id) === i),
+    days: Math.max(1, Math.min(365, parseInt(data.days, 10) || 7))
+  };
+}
+
+/**
+ * 必要量の基準の検証
+ * - 区分（成人・子ども・高齢者・犬・猫）ごとの水（L/日）・カロリー（kcal/日）
+ * - 水は0〜20L、カロリーは0〜5000kcal。未設定・範囲外は null（自動算出）
+ * - ペットはカロリーを持たない
+ * @param {Object} data - 検証する基準データ
+ * @returns {Object} 検証済み基準データ（{ adult: { water, kcal }, …, dog: { water }, cat: { water } }）
+ */
+function validateNeedRates(data) {
+  const src = data && typeof data === 'object' ? data : {};
+  const limits = { water: 20, kcal: 5000 };
+  const roles = { adult: ['water', 'kcal'], child: ['water', 'kcal'], senior: ['water', 'kcal'], dog: ['water'], cat: ['water'] };
+  const result = {};
+  for(const [role, fields] of Object.entries(roles)){
+    result[role] = {};
+    for(const field of fields){
+      const raw = src[role]?.[field];
+      const v = raw == null || raw === '' ? NaN : Number(raw);
+      result[role][field] = v >= 0 && v <= limits[field] ? v : null;
+    }
+  }
+  return result;
+}
+
+/**
+ * 生活必需品の基準の検証
+ * - ESSENTIALS の品目ごとに1日量（0〜100。未設定・範囲外は null＝既定値）と使用有無
+ * @param {Object} data - 検証する基準データ
+ * @returns {Object} 検証済み基準データ（{ toilet: { perDay, enabled }, … }）
+ */
+function validateEssentials(data) {
+  const src = data && typeof data === 'object' ? data : {};
+  return Object.fromEntries(ESSENTIALS.map(({ key }) => {
+    const raw = src[key]?.perDay;
+    const v = raw == null || raw === '' ? NaN : Number(raw);
+    return [key, { perDay: v >= 0 && v <= 100 ? v : null, enabled: src[key]?.enabled !== false }];
+  }));
+}
+
+/**
+ * 備蓄状況の推移の検証
+ * - 日付は YYYY-MM-DD、充足率は0〜100、件数は0以上の整数、総合評価は HEALTH_GRADES のいずれか
+ * - 判定方法は1〜HEALTH_SCORING_VERSION（不明なら旧判定の1）
+ * - 同じ日付は後の記録を優先し、日付順に最大3650件（約10年分）
+ * @param {Array} data - 検証する記録の配列
+ * @returns {Array} 検証済み記録 [{ date, waterCov, kcalCov, expired, near, grade, scoring }]
+ */
+function validateHistory(data) {
+  if(!Array.isArray(data)) return [];
+  const percent = v => Math.min(100, Math.max(0, Math.round(Number(v)) || 0));
+  const count = v => Math.min(100000, Math.max(0, Math.floor(Number(v)) || 0));
+  const byDate = new Map();
+  for(const e of data){
+    if(!e || typeof e !== 'object' || !/^\d{4}-\d{2}-\d{2}$/.test(e.date) || !parseDate(e.date)) continue;
+    if(!HEALTH_GRADES.includes(e.grade)) continue;
+    byDate.set(e.date, {
+      date: e.date,
+      waterCov: percent(e.waterCov),
+      kcalCov: percent(e.kcalCov),
+      expired: count(e.expired),
+      near: count(e.near),
+      grade: e.grade,
+      scoring: Number.isInteger(e.scoring) && e.scoring >= 1 && e.scoring <= HEALTH_SCORING_VERSION ? e.scoring : 1
+    });
   }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)).slice(-3650);
+}
+
+/**
+ * アドバイザーのルール設定の検証
+ * - disabled：無効にしたルールのID（英数字・_・-、最大40文字）
+ * - custom：追加したルール（最大100件、IDの重複は先を優先）。when と message は必須
+ *   条件は { metric, op, value } または { all: [...] } / { any: [...] }（3階層・各20件まで）
+ *   比較は < <= > >= == != in（in は数値の配列）、減点は0〜100または { metric, factor, max }
+ *   条件・減点の指標の引数（key・category・keyword）は50文字まで残す
+ * - 指標名は形式だけを確認する（未知の指標は一致しない条件として扱う）
+ * @param {Object} data - 検証するルール設定
+ * @returns {Object} 検証済みルール設定 { disabled, custom }
+ */
+function validateAdvisorRules(data) {
+  const src = data && typeof data === 'object' ? data : {};
+  const validRuleId = v => typeof v === 'string' && /^[\w-]{1,40}$/.test(v);
+  const validMetric = v => typeof v === 'string' && /^[A-Za-z]\w{0,39}$/.test(v);
+  const severities = ['critical', 'warning', 'caution', 'info'];
+  const ops = ['<', '<=', '>', '>=', '==', '!=', 'in'];
+  const text = (v, max) => typeof v === 'string' ? v.trim().substring(0, max) : '';
+  const number = v => typeof v === 'number' && Number.isFinite(v) ? v : null;
+  const clamp = v => Math.min(100, Math.max(0, v));
+  // 指標の引数（essentialDays・nutrientBalance の key、categoryItems の category、itemsNamed の keyword）
+  const params = (src, out) => {
+    for(const key of ['key', 'category', 'keyword']){
+      if(typeof src[key] === 'string' && src[key].trim()) out[key] = text(src[key], 50);
+    }
+    return out;
+  };
+  const condition = (c, depth) => {
+    if(!c || typeof c !== 'object' || depth > 3) return null;
+    for(const key of ['all', 'any']){
+      if(!Array.isArray(c[key])) continue;
+      const list = c[key].slice(0, 20).map(x => condition(x, depth + 1)).filter(Boolean);
+      return list.length ? { [key]: list } : null;
+    }
+    if(!validMetric(c.metric) || !ops.includes(c.op)) return null;
+    const value = c.op === 'in'
+      ? (Array.isArray(c.value) ? c.value.map(number).filter(v => v != null).slice(0, 50) : [])
+      : number(c.value);
+    if(value == null || (Array.isArray(value) && !value.length)) return null;
+    return params(c, { metric: c.metric, op: c.op, value });
+  };
+  const penalty = p => {
+    if(number(p) != null) return clamp(p);
+    if(p && typeof p === 'object' && validMetric(p.metric)){
+      return params(p, { metric: p.metric, factor: clamp(number(p.factor) ?? 1), max: clamp(number(p.max) ?? 100) });
+    }
+    return 0;
+  };
+  const custom = (Array.isArray(src.custom) ? src.custom : [])
+    .filter(r => r && typeof r === 'object' && validRuleId(r.id))
+    .map(r => ({
+      id: r.id,
+      label: text(r.label, 100) || r.id,
+      severity: severities.includes(r.severity) ? r.severity : 'info',
+      penalty: penalty(r.penalty),
+      when: condition(r.when, 1),
+      message: text(r.message, 300),
+      action: text(r.action, 300)
+    }))
+    .filter(r => r.when && r.message);
   return {
-    adults: Math.max(0, Math.min(100, parseInt(data.adults, 10) || 0)),
-    children: Math.max(0, Math.min(100, parseInt(data.children, 10) || 0)),
-    seniors: Math.max(0, Math.min(100, parseInt(data.seniors, 10) || 0)),
-    dogs: Math.max(0, Math.min(100, parseInt(data.dogs, 10) || 0)),
-    cats: Math.max(0, Math.min(100, parseInt(data.cats, 10) || 0)),
-    days: [3, 7, 14, 30, 180].includes(parseInt(data.days, 10)) ? parseInt(data.days, 10) : 7
+    disabled: [...new Set((Array.isArray(src.disabled) ? src.disabled : []).filter(validRuleId))].slice(0, 200),
+    custom: custom.filter((r, i) => custom.findIndex(x => x.id === r.id) === i).slice(0, 100)
   };
 }
 
@@ -120,6 +699,94 @@ function validateAlertMonths(value) {
   return [1, 2, 3, 6].includes(value) ? value : 2;
 }
 
+/**
+ * 保管場所一覧の検証
+ * - 文字列のみ、最大50文字、重複・空文字は除外
+ * - 最大50件
+ * @param {Array} data - 検証する保管場所の配列
+ * @returns {Array<string>} 検証済み保管場所の配列
+ */
+function validateLocations(data) {
+  if(!Array.isArray(data)) return [];
+  const names = data.map(v => String(v ?? '').trim().substring(0, 50)).filter(Boolean);
+  return [...new Set(names)].slice(0, 50);
+}
+
+/**
+ * 非常用持ち出し袋データの検証
+ * - 袋のキー（member）は英数字・ハイフンのみ、重複は除外
+ * - 袋は最大200件、品目は1袋あたり最大200件
+ * @param {Array} data - 検証する持ち出し袋の配列
+ * @returns {Array} 検証済み持ち出し袋の配列
+ */
+function validateGoBags(data) {
+  if(!Array.isArray(data)) return [];
+  const bags = data
+    .filter(bag => bag && typeof bag === 'object' && /^[\w-]{1,40}$/.test(String(bag.member ?? '')))
+    .slice(0, 200)
+    .map(bag => ({
+      member: String(bag.member),
+      items: (Array.isArray(bag.items) ? bag.items : []).filter(it => it && typeof it === 'object').slice(0, 200).map(it => ({
+        id: validId(it.id),
+        templateId: String(it.templateId || '').substring(0, 40),
+        name: String(it.name || '').trim().substring(0, 200),    // 最大200文字
+        quantity: Math.max(0, parseFloat(it.quantity) || 0),
+        unit: String(it.unit || '').trim().substring(0, 50),     // 最大50文字
+        packed: Boolean(it.packed),
+        expiry: String(it.expiry || '').substring(0, 20)         // ISO 8601形式
+      })).filter(it => it.name)
+    }));
+  return bags.filter((bag, i) => bags.findIndex(b => b.member === bag.member) === i);
+}
+
+/**
+ * バーコード商品表の検証
+ * - コードはJAN/EANのチェックデジットで検証、重複は先の登録を優先
+ * - 品名・カテゴリ・単位・カロリー・保存期間は商品カタログと同じ規則、最大5000件
+ * @param {Array} data - 検証する商品表の配列
+ * @returns {Array} 検証済み商品表 [{ code, name, category, unit, kcal, allergens, shelfLifeMonths }]
+ */
+function validateBarcodes(data) {
+  if(!Array.isArray(data)) return [];
+  const entries = data
+    .filter(e => e && typeof e === 'object' && isValidBarcode(normalizeBarcode(e.code)))
+    .map(e => {
+      const [entry] = validateCatalog([e]);
+      if(!entry) return null;
+      const { id, ...fields } = entry;
+      return { code: normalizeBarcode(e.code), ...fields };
+    })
+    .filter(Boolean);
+  return entries.filter((e, i) => entries.findIndex(x => x.code === e.code) === i).slice(0, 5000);
+}
+
+/**
+ * 商品カタログ（ユーザー登録分）の検証
+ * - カテゴリをホワイトリストで検証、品名は最大200文字・単位は最大50文字
+ * - 保存期間は1〜600か月（未設定は null）
+ * - 品名の重複は先の登録を優先、最大500件
+ * @param {Array} data - 検証するカタログの配列
+ * @returns {Array} 検証済みカタログ [{ id, name, category, unit, kcal, allergens, shelfLifeMonths }]
+ */
+function validateCatalog(data) {
+  if(!Array.isArray(data)) return [];
+  const entries = data.filter(e => e && typeof e === 'object').map(e => {
+    const months = parseInt(e.shelfLifeMonths, 10);
+    return {
+      id: validId(e.id),
+      name: String(e.name || '').trim().substring(0, 200),    // 最大200文字
+      category: CATEGORIES.includes(e.category) ? e.category : 'other',
+      unit: String(e.unit || '').trim().substring(0, 50),     // 最大50文字
+      kcal: e.kcal != null && e.kcal !== '' ? Math.max(0, parseFloat(e.kcal) || 0) : null,
+      allergens: validAllergens(e.allergens),
+      packageSize: validPackageSize(e.packageSize),
+      essential: validEssential(e.essential),
+      shelfLifeMonths: months >= 1 && months <= 600 ? months : null
+    };
+  }).filter(e => e.name);
+  return entries.filter((e, i) => entries.findIndex(x => x.name === e.name) === i).slice(0, 500);
+}
+
 /**
  * ISO 8601形式の日付文字列をDateオブジェクトに変換
  * @param {string} str - 日付文字列（YYYY-MM-DD）
@@ -171,59 +838,780 @@ function daysDiff(a,b){
  */
 function sum(arr){ return arr.reduce((x,y)=>x+y,0); }
 
-/* ===============================
-   DOM Helpers
+/**
+ * 一意なIDを生成（アイテム・ロット・履歴の識別用）
+ * @returns {string} ID
+ */
+function uid(){
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
 
-   jQueryライクなDOM操作ヘルパー関数
-==================================*/
-// 単一要素を取得（querySelector）
-const $ = sel => document.querySelector(sel);
+/**
+ * ファイル名用のタイムスタンプ（YYYYMMDD_HHmmss）
+ * @returns {string} タイムスタンプ
+ */
+function fileTimestamp(){
+  const now = new Date();
+  const yyyy = now.getFullYear();
+  const MM = String(now.getMonth() + 1).padStart(2, '0');
+  const dd = String(now.getDate()).padStart(2, '0');
+  const HH = String(now.getHours()).padStart(2, '0');
+  const mm = String(now.getMinutes()).padStart(2, '0');
+  const ss = String(now.getSeconds()).padStart(2, '0');
+  return `${yyyy}${MM}${dd}_${HH}${mm}${ss}`;
+}
 
-// 複数要素を配列で取得（querySelectorAll）
-const $$ = sel => Array.from(document.querySelectorAll(sel));
+/**
+ * テキストをファイルとしてダウンロード
+ * @param {string} content - ファイル内容
+ * @param {string} filename - ファイル名
+ * @param {string} type - MIMEタイプ
+ */
+function downloadFile(content, filename, type){
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
 
-/* ===============================
-   Theme Toggle
+/**
+ * 2次元配列をCSV文字列に変換（Excelで文字化けしないようBOM付き）
+ * - カンマ・改行・ダブルクォートを含む値はクォート
+ * - 先頭が = + - @ の値は数式として解釈されないよう ' を付与（CSVインジェクション対策）
+ * @param {Array<Array>} rows - 行の配列
+ * @returns {string} CSV文字列
+ */
+function toCsv(rows){
+  const cell = v=>{
+    let str = v == null ? '' : String(v);
+    if(/^[=+\-@]/.test(str) && !/^-?\d+(\.\d+)?$/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return '\uFEFF' + rows.map(r=>r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
 
-   ダーク/ライトモードの切り替え機能
+/**
+ * CSV文字列を2次元配列に変換（RFC 4180 準拠、BOM・CRLF対応）
+ * - toCsv() が数式対策で付与した先頭の ' は取り除く
+ * @param {string} text - CSV文字列
+ * @returns {Array<Array<string>>} 行の配列（空行は除外）
+ */
+function parseCsv(text){
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  const pushCell = ()=>{ row.push(/^'[=+\-@]/.test(cell) ? cell.slice(1) : cell); cell = ''; };
+  const pushRow = ()=>{ pushCell(); if(row.some(c=>c.trim() !== '')) rows.push(row); row = []; };
+  for(let i = 0; i < src.length; i++){
+    const c = src[i];
+    if(quoted){
+      if(c === '"' && src[i+1] === '"'){ cell += '"'; i++; }
+      else if(c === '"') quoted = false;
+      else cell += c;
+    }else if(c === '"' && cell === '') quoted = true;
+    else if(c === ',') pushCell();
+    else if(c === '\n') pushRow();
+    else if(c !== '\r') cell += c;
+  }
+  if(cell !== '' || row.length) pushRow();
+  return rows;
+}
+
+/**
+ * 期限の早い順に並べるための比較関数（期限なしは末尾）
+ * @param {string} a - 期限日（YYYY-MM-DD）
+ * @param {string} b - 期限日（YYYY-MM-DD）
+ * @returns {number} 比較結果
+ */
+function compareExpiry(a, b){
+  const da = parseDate(a);
+  const db = parseDate(b);
+  if(!da && !db) return 0; if(!da) return 1; if(!db) return -1; return da-db;
+}
+
+/* ===============================
+   Data Schema
+
+   保存データ・エクスポートファイルのバージョン管理
+   - 古いバージョンは1段階ずつ移行（v1 → v2 → …）してから検証
+   - 新しいバージョンのファイルは読み込まない
+   - 起動時の読み込みと #importJson は同じ経路（migrateData → validateData）を通る
+
+   バージョン履歴
+   v1: アイテム直下に quantity / expiry（初期リリース）
+   v2: ロット（lots）・入出庫履歴（ledger）・買い物リスト（shopping）
+   v3: アイテムの保管場所（location）・保管場所一覧（locations）
+   v4: 非常用持ち出し袋（goBags）
+   v5: 家族構成を人数から個人のメンバー一覧（family.members）に変更
+   v6: 必要量の基準（needRates）・想定日数を1〜365日に拡張
+   v7: アイテムの栄養成分（nutrients）
+   v8: 商品カタログのユーザー登録分（catalog）
+   v9: アイテムのバーコード（barcode）・バーコード商品表（barcodes）
+   v10: アイテムのアレルゲン（allergens）・メンバーの食事制限（restrictions）
+   v11: 医薬品の服用量（dosage）
+   v12: ペットのフードの1日量（foodGrams）
+   v13: アイテムの内容量（packageSize）
+   v14: アイテムの生活必需品の区分（essential）・生活必需品の基準（essentials）
+   v15: 備蓄状況の推移（healthHistory）
+   v16: アドバイザーのルール設定（advisorRules）
+   v17: アイテムの1単位あたりの生活必需品の数（essentialPerUnit）
+   v18: 推移の記録の総合評価の判定方法（healthHistory の scoring）
 ==================================*/
-// 現在のテーマ（デフォルト: dark）
-let currentTheme = localStorage.getItem(LS_THEME) || 'dark';
 
-function setTheme(theme){
-  currentTheme = theme;
-  document.body.setAttribute('data-theme', theme);
-  localStorage.setItem(LS_THEME, theme);
+/**
+ * データのバージョンを取得（meta のない古いファイルは v1）
+ * @param {Object} data - エクスポートファイルまたは保存データ
+ * @returns {number} バージョン
+ */
+function dataVersion(data){
+  return parseInt(data?.meta?.ver, 10) || 1;
+}
 
-  const icon = $('#themeIcon');
-  const text = $('#themeText');
-  // Show the NEXT theme (what it will switch TO)
-  if(theme === 'light'){
-    // Currently light, will switch to dark
-    icon.textContent = '🌙';
-    text.textContent = 'ダークモードへ切り替え';
-  }else{
-    // Currently dark, will switch to light
-    icon.textContent = '☀️';
-    text.textContent = 'ライトモードへ切り替え';
+/**
+ * v1 → v2：アイテム直下の数量・期限を1ロットに移行
+ * @param {Object} data - v1 のデータ
+ * @returns {Object} v2 のデータ
+ */
+function migrateV1ToV2(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>{
+    if(!item || typeof item !== 'object' || Array.isArray(item.lots)) return item;
+    // 登録日時を購入日とみなす
+    const purchased = Number(item.createdAt) ? formatDate(new Date(Number(item.createdAt))) : '';
+    const { quantity, expiry, ...rest } = item;
+    return { ...rest, lots: [{ purchased, quantity, expiry }] };
+  }) : data.items;
+  return { ...data, items: migrated };
+}
+
+/**
+ * v2 → v3：保管場所を未設定として追加
+ * @param {Object} data - v2 のデータ
+ * @returns {Object} v3 のデータ
+ */
+function migrateV2ToV3(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { location: '', ...item } : item
+  ) : data.items;
+  return { ...data, items: migrated };
+}
+
+/**
+ * v3 → v4：持ち出し袋を追加（既存データには袋なし。起動時に家族構成から作成）
+ * @param {Object} data - v3 のデータ
+ * @returns {Object} v4 のデータ
+ */
+function migrateV3ToV4(data){
+  return { ...data, goBags: data.goBags ?? [] };
+}
+
+/**
+ * v4 → v5：家族の人数をメンバー一覧に展開
+ * メンバーIDは持ち出し袋のキー（adult-1 など）と同じにして袋を引き継ぐ
+ * @param {Object} data - v4 のデータ
+ * @returns {Object} v5 のデータ
+ */
+function migrateV4ToV5(data){
+  const f = data.family;
+  if(!f || typeof f !== 'object' || Array.isArray(f.members)) return data;
+  const groups = [
+    ['adults', 'adult', '成人', { type: 'person', age: 40 }],
+    ['children', 'child', '子ども', { type: 'person', age: 10 }],
+    ['seniors', 'senior', '高齢者', { type: 'person', age: 70 }],
+    ['dogs', 'dog', '犬', { type: 'dog' }],
+    ['cats', 'cat', '猫', { type: 'cat' }]
+  ];
+  const members = [];
+  for(const [field, key, label, profile] of groups){
+    const count = Math.max(0, Math.min(100, parseInt(f[field], 10) || 0));
+    for(let i = 1; i <= count; i++){
+      members.push({ id: `${key}-${i}`, name: `${label}${i}`, sex: '', weight: null, pregnancy: 'none', age: 0, ...profile });
+    }
   }
+  return { ...data, family: { members, days: f.days } };
+}
 
-  // Re-render charts with new theme colors
-  setTimeout(()=>{
-    drawCategoryChart();
-    drawCoverageCharts();
-  }, 100);
+/**
+ * v5 → v6：必要量の基準を追加（既存データはすべて自動算出）
+ * @param {Object} data - v5 のデータ
+ * @returns {Object} v6 のデータ
+ */
+function migrateV5ToV6(data){
+  return { ...data, needRates: data.needRates ?? {} };
 }
 
-$('#themeToggle').addEventListener('click', ()=>{
-  setTheme(currentTheme === 'dark' ? 'light' : 'dark');
-});
+/**
+ * v6 → v7：アイテムに栄養成分（未入力）を追加
+ * @param {Object} data - v6 のデータ
+ * @returns {Object} v7 のデータ
+ */
+function migrateV6ToV7(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { nutrients: {}, ...item } : item
+  ) : data.items;
+  return { ...data, items: migrated };
+}
 
-// Initialize theme on load
-setTheme(currentTheme);
+/**
+ * v7 → v8：商品カタログのユーザー登録分を追加（既存データには登録なし）
+ * @param {Object} data - v7 のデータ
+ * @returns {Object} v8 のデータ
+ */
+function migrateV7ToV8(data){
+  return { ...data, catalog: data.catalog ?? [] };
+}
 
-/* ===============================
-   Tabs
+/**
+ * v8 → v9：アイテムのバーコード（未設定）とバーコード商品表を追加
+ * @param {Object} data - v8 のデータ
+ * @returns {Object} v9 のデータ
+ */
+function migrateV8ToV9(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { barcode: '', ...item } : item
+  ) : data.items;
+  return { ...data, items: migrated, barcodes: data.barcodes ?? [] };
+}
+
+/**
+ * v9 → v10：アイテムのアレルゲンとメンバーの食事制限を追加（どちらも未設定）
+ * @param {Object} data - v9 のデータ
+ * @returns {Object} v10 のデータ
+ */
+function migrateV9ToV10(data){
+  const items = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { allergens: [], ...item } : item
+  ) : data.items;
+  const f = data.family;
+  const family = f && typeof f === 'object' && Array.isArray(f.members)
+    ? { ...f, members: f.members.map(m=>m && typeof m === 'object' ? { restrictions: [], ...m } : m) }
+    : f;
+  return { ...data, items, family };
+}
+
+/**
+ * v10 → v11：アイテムに常用薬の服用量（未設定）を追加
+ * @param {Object} data - v10 のデータ
+ * @returns {Object} v11 のデータ
+ */
+function migrateV10ToV11(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { dosage: null, ...item } : item
+  ) : data.items;
+  return { ...data, items: migrated };
+}
+
+/**
+ * v11 → v12：メンバーにペットのフードの1日量（未設定＝体重から自動算出）を追加
+ * @param {Object} data - v11 のデータ
+ * @returns {Object} v12 のデータ
+ */
+function migrateV11ToV12(data){
+  const f = data.family;
+  if(!f || typeof f !== 'object' || !Array.isArray(f.members)) return data;
+  const members = f.members.map(m=>m && typeof m === 'object' ? { foodGrams: null, ...m } : m);
+  return { ...data, family: { ...f, members } };
+}
+
+/**
+ * v12 → v13：アイテムに内容量を追加
+ * 水・ペットフードで単位が本・袋などのものは品名（「2Lペットボトル」など）から推定し、それ以外は未設定
+ * @param {Object} data - v12 のデータ
+ * @returns {Object} v13 のデータ
+ */
+function migrateV12ToV13(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { packageSize: inferPackageSize(item), ...item } : item
+  ) : data.items;
+  return { ...data, items: migrated };
+}
+
+/**
+ * v13 → v14：アイテムに生活必需品の区分（未設定）と、生活必需品の基準（すべて既定値）を追加
+ * 既存のアイテムは品名から推定せず、利用者がアイテムの編集画面で紐づける
+ * @param {Object} data - v13 のデータ
+ * @returns {Object} v14 のデータ
+ */
+function migrateV13ToV14(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { essential: '', ...item } : item
+  ) : data.items;
+  return { ...data, items: migrated, essentials: data.essentials ?? {} };
+}
+
+/**
+ * v14 → v15：備蓄状況の推移（空）を追加
+ * @param {Object} data - v14 のデータ
+ * @returns {Object} v15 のデータ
+ */
+function migrateV14ToV15(data){
+  return { ...data, healthHistory: data.healthHistory ?? [] };
+}
+
+/**
+ * v15 → v16：アドバイザーのルール設定（すべての組み込みルールが有効・追加ルールなし）を追加
+ * @param {Object} data - v15 のデータ
+ * @returns {Object} v16 のデータ
+ */
+function migrateV15ToV16(data){
+  return { ...data, advisorRules: data.advisorRules ?? { disabled: [], custom: [] } };
+}
+
+/**
+ * v16 → v17：アイテムに1単位あたりの生活必需品の数（未設定＝単位が品目の単位と同じなら1として数える）を追加
+ * @param {Object} data - v16 のデータ
+ * @returns {Object} v17 のデータ
+ */
+function migrateV16ToV17(data){
+  const migrated = Array.isArray(data.items) ? data.items.map(item=>
+    item && typeof item === 'object' ? { essentialPerUnit: null, ...item } : item
+  ) : data.items;
+  return { ...data, items: migrated };
+}
+
+/**
+ * v17 → v18：推移の記録に総合評価の判定方法を追加（これまでの記録は旧判定の1）
+ * @param {Object} data - v17 のデータ
+ * @returns {Object} v18 のデータ
+ */
+function migrateV17ToV18(data){
+  const migrated = Array.isArray(data.healthHistory) ? data.healthHistory.map(e=>
+    e && typeof e === 'object' ? { scoring: 1, ...e } : e
+  ) : data.healthHistory;
+  return { ...data, healthHistory: migrated };
+}
+
+/**
+ * 古いバージョンのデータを現在のバージョンまで1段階ずつ移行
+ * @param {Object} data - エクスポートファイルまたは保存データ
+ * @returns {Object} 現在のバージョンのデータ
+ * @throws {Error} 現在より新しいバージョンのデータ
+ */
+function migrateData(data){
+  const steps = {
+    1: migrateV1ToV2,
+    2: migrateV2ToV3,
+    3: migrateV3ToV4,
+    4: migrateV4ToV5,
+    5: migrateV5ToV6,
+    6: migrateV6ToV7,
+    7: migrateV7ToV8,
+    8: migrateV8ToV9,
+    9: migrateV9ToV10,
+    10: migrateV10ToV11,
+    11: migrateV11ToV12,
+    12: migrateV12ToV13,
+    13: migrateV13ToV14,
+    14: migrateV14ToV15,
+    15: migrateV15ToV16,
+    16: migrateV16ToV17,
+    17: migrateV17ToV18
+  };
+  let ver = dataVersion(data);
+  if(ver > SCHEMA_VERSION){
+    throw new Error(`新しいバージョン（v${ver}）のデータです。このアプリはv${SCHEMA_VERSION}までに対応しています。`);
+  }
+  while(ver < SCHEMA_VERSION){
+    data = steps[ver](data);
+    ver++;
+  }
+  return { ...data, meta: { ...data.meta, ver } };
+}
+
+/**
+ * 現在のバージョンのデータを検証
+ * ファイルに含まれない項目は null（呼び出し側で既定値や現在の値を使う）
+ * @param {Object} data - migrateData 済みのデータ
+ * @returns {Object} { items, ledger, shopping, family, alertMonths, locations, goBags, needRates, catalog, barcodes, essentials, healthHistory, advisorRules }
+ */
+function validateData(data){
+  return {
+    items: Array.isArray(data.items) ? validateItems(data.items) : null,
+    ledger: Array.isArray(data.ledger) ? validateLedger(data.ledger) : null,
+    shopping: Array.isArray(data.shopping) ? validateShopping(data.shopping) : null,
+    family: data.family && typeof data.family === 'object' ? validateFamily(data.family) : null,
+    alertMonths: data.alertMonths != null ? validateAlertMonths(parseInt(data.alertMonths, 10)) : null,
+    locations: Array.isArray(data.locations) ? validateLocations(data.locations) : null,
+    goBags: Array.isArray(data.goBags) ? validateGoBags(data.goBags) : null,
+    needRates: data.needRates && typeof data.needRates === 'object' ? validateNeedRates(data.needRates) : null,
+    catalog: Array.isArray(data.catalog) ? validateCatalog(data.catalog) : null,
+    barcodes: Array.isArray(data.barcodes) ? validateBarcodes(data.barcodes) : null,
+    essentials: data.essentials && typeof data.essentials === 'object' ? validateEssentials(data.essentials) : null,
+    healthHistory: Array.isArray(data.healthHistory) ? validateHistory(data.healthHistory) : null,
+    advisorRules: data.advisorRules && typeof data.advisorRules === 'object' ? validateAdvisorRules(data.advisorRules) : null
+  };
+}
+
+/**
+ * LocalStorage の保存データを読み込み（移行が必要なら移行後の内容で保存し直す。新しいバージョンのデータは読み取り専用）
+ * @returns {Object} validateData の結果（未保存の項目は既定値）
+ */
+function loadStoredData(){
+  const stored = { meta: { ver: parseInt(localStorage.getItem(LS_SCHEMA_VERSION), 10) || 1 } };
+  for(const [name, [key, fallback]] of Object.entries(STORED_SECTIONS)){
+    stored[name] = loadJSON(key, fallback);
+  }
+  const ver = dataVersion(stored);
+  // 新しいバージョンで保存されたデータは移行できないため、読める範囲で表示して読み取り専用にする
+  // （このバージョンが知らない項目を落とした内容で上書きしないように、以後 saveJSON は保存しない）
+  if(ver > SCHEMA_VERSION) storageReadOnly = true;
+  const data = validateData(ver > SCHEMA_VERSION ? stored : migrateData(stored));
+  const result = {
+    ...data,
+    items: data.items || [],
+    ledger: data.ledger || [],
+    shopping: data.shopping || [],
+    family: data.family || validateFamily(null),
+    alertMonths: data.alertMonths || 2,
+    locations: data.locations || ['自宅', '車', '職場', '非常用持ち出し袋'],
+    goBags: data.goBags || [],
+    needRates: data.needRates || validateNeedRates(null),
+    catalog: data.catalog || [],
+    barcodes: data.barcodes || [],
+    essentials: data.essentials || validateEssentials(null),
+    healthHistory: data.healthHistory || [],
+    advisorRules: data.advisorRules || validateAdvisorRules(null)
+  };
+  if(ver < SCHEMA_VERSION){
+    // 移行後の内容ですべての項目を保存し直す（次回起動時に再移行されないように）
+    for(const [name, [key]] of Object.entries(STORED_SECTIONS)){
+      saveJSON(key, result[name]);
+    }
+    localStorage.setItem(LS_SCHEMA_VERSION, String(SCHEMA_VERSION));
+  }
+  return result;
+}
+
+/* ===============================
+   Lots
+
+   1アイテムに複数ロット（購入日・数量・期限）を持たせるためのヘルパー
+==================================*/
+
+/**
+ * アイテムの総数量（全ロットの合計）
+ * @param {Object} it - アイテム
+ * @returns {number} 総数量
+ */
+function itemQuantity(it){ return sum(it.lots.map(l=>l.quantity)); }
+
+/**
+ * 在庫の残っているロットを期限の早い順に取得
+ * @param {Object} it - アイテム
+ * @returns {Array} ロット配列
+ */
+function activeLots(it){
+  return it.lots.filter(l=>l.quantity > 0).sort((a,b)=>compareExpiry(a.expiry, b.expiry));
+}
+
+/**
+ * もっとも期限の早いロット（在庫ありのもの）
+ * @param {Object} it - アイテム
+ * @returns {Object|null} ロットまたはnull
+ */
+function earliestLot(it){ return activeLots(it)[0] || null; }
+
+/**
+ * 最低在庫を下回っているか（最低在庫が未設定なら常に false）
+ * @param {Object} it - アイテム
+ * @returns {boolean}
+ */
+function isBelowMinimum(it){
+  return it.minQuantity != null && itemQuantity(it) < it.minQuantity;
+}
+
+/**
+ * 目標在庫（未設定なら最低在庫）までの補充数
+ * @param {Object} it - アイテム
+ * @returns {number} 補充数（不要なら0）
+ */
+function reorderQuantity(it){
+  const goal = it.targetQuantity ?? it.minQuantity ?? 0;
+  return Math.max(0, Math.round((goal - itemQuantity(it)) * 100) / 100);
+}
+
+/* ===============================
+   Units
+
+   単位の換算（体積は ml、重さは g を基準にそろえる）
+   - 単位が ml・L・g・kg なら数量をそのまま換算
+   - 本・缶・袋などの個数の単位は、内容量（packageSize）× 数量で換算
+==================================*/
+
+/**
+ * 単位の種類と基準単位（ml・g）への換算係数
+ * @param {string} unit - 単位
+ * @returns {Object} { dimension: 'volume' | 'mass' | 'count', factor }
+ */
+function unitInfo(unit){
+  const key = String(unit || '').normalize('NFKC').trim().toLowerCase();
+  return UNIT_FACTORS[key] || { dimension: 'count', factor: 1 };
+}
+
+/**
+ * アイテムの在庫量を体積（ml）・重さ（g）に換算
+ * @param {Object} it - アイテム
+ * @returns {Object} { dimension, amount }（個数の単位で内容量が未設定なら dimension: 'count'、amount は数量）
+ */
+function itemMeasure(it){
+  const qty = itemQuantity(it);
+  const u = unitInfo(it.unit);
+  if(u.dimension !== 'count') return { dimension: u.dimension, amount: qty * u.factor };
+  if(it.packageSize){
+    const p = unitInfo(it.packageSize.unit);
+    return { dimension: p.dimension, amount: qty * it.packageSize.amount * p.factor };
+  }
+  return { dimension: 'count', amount: qty };
+}
+
+/**
+ * アイテムの体積（L）
+ * @param {Object} it - アイテム
+ * @returns {number|null} 体積(L)（体積に換算できなければ null）
+ */
+function itemLiters(it){
+  const m = itemMeasure(it);
+  return m.dimension === 'volume' ? m.amount / 1000 : null;
+}
+
+/**
+ * アイテムの重さ（g）
+ * @param {Object} it - アイテム
+ * @returns {number|null} 重さ(g)（重さに換算できなければ null）
+ */
+function itemGrams(it){
+  const m = itemMeasure(it);
+  return m.dimension === 'mass' ? m.amount : null;
+}
+
+/**
+ * 内容量の表示（例：「2L」「190g」）
+ * @param {Object} p - 内容量（{ amount, unit }）
+ * @returns {string} 表示文字列
+ */
+function formatPackageSize(p){
+  return `${fmtNum(p.amount)}${p.unit}`;
+}
+
+/**
+ * 換算した量の表示（1000以上は L・kg）
+ * @param {Object} m - itemMeasure の結果
+ * @returns {string} 表示文字列（個数の場合は空文字）
+ */
+function formatMeasure(m){
+  if(m.dimension === 'volume') return m.amount >= 1000 ? `${fmtNum(m.amount / 1000)} L` : `${fmtNum(m.amount)} ml`;
+  if(m.dimension === 'mass') return m.amount >= 1000 ? `${fmtNum(m.amount / 1000)} kg` : `${fmtNum(m.amount)} g`;
+  return '';
+}
+
+/* ===============================
+   Ledger
+
+   入出庫履歴（消費・補充・修正）の記録
+   ロットの quantity は履歴の合計から算出したキャッシュとして保持
+==================================*/
+
+// 履歴の種別ラベル
+const MOVEMENT_LABELS = { restock: '補充', consume: '消費', adjust: '修正' };
+
+/**
+ * 履歴レコードを生成
+ * @param {Object} it - アイテム
+ * @param {Object} lot - ロット
+ * @param {string} type - 種別（restock / consume / adjust）
+ * @param {number} quantity - 数量（補充は正、消費は負）
+ * @param {string} date - 日付（YYYY-MM-DD）
+ * @param {string} [note] - メモ
+ * @returns {Object} 履歴レコード
+ */
+function movement(it, lot, type, quantity, date, note = ''){
+  // ロットの期限も記録しておく（使い切ったロットの履歴表示用）
+  return { id: uid(), itemId: it.id, lotId: lot.id, expiry: lot.expiry, type, quantity, date, note, at: Date.now() };
+}
+
+/**
+ * 履歴とアイテムの整合を取る
+ * - 削除済みアイテムの履歴を除去
+ * - 履歴のないロット（旧データ・インポートデータ）に「初期在庫」を記録
+ * - ロットの数量を履歴から再計算
+ */
+function syncLedger(){
+  const itemIds = new Set(items.map(it=>it.id));
+  ledger = ledger.filter(m=>itemIds.has(m.itemId));
+  const known = new Set(ledger.map(m=>m.lotId));
+  for(const it of items){
+    for(const lot of it.lots){
+      if(!known.has(lot.id) && lot.quantity > 0){
+        ledger.push(movement(it, lot, 'adjust', lot.quantity, lot.purchased || formatDate(new Date()), '初期在庫'));
+      }
+    }
+  }
+  applyLedger();
+}
+
+/**
+ * 履歴の合計からロットの数量を再計算
+ */
+function applyLedger(){
+  const totals = {};
+  for(const m of ledger){
+    totals[m.lotId] = (totals[m.lotId] || 0) + m.quantity;
+  }
+  for(const it of items){
+    for(const lot of it.lots){
+      // 浮動小数点の誤差を丸める
+      lot.quantity = Math.max(0, Math.round((totals[lot.id] || 0) * 1e6) / 1e6);
+    }
+  }
+}
+
+/**
+ * アイテムを消費（期限の早いロットから順に引き当て）
+ * @param {Object} it - アイテム
+ * @param {number} quantity - 消費数量
+ * @param {string} date - 消費日（YYYY-MM-DD）
+ * @param {string} [note] - メモ
+ * @param {string} [lotId] - 優先して消費するロット（省略時は期限の早い順）
+ * @returns {number} 実際に消費した数量（在庫不足時は在庫分のみ）
+ */
+function consumeItem(it, quantity, date, note = '', lotId = ''){
+  const lots = activeLots(it);
+  if(lotId) lots.sort((a,b)=>(b.id===lotId) - (a.id===lotId));
+  let rest = quantity;
+  for(const lot of lots){
+    if(rest <= 0) break;
+    const take = Math.min(rest, lot.quantity);
+    ledger.push(movement(it, lot, 'consume', -take, date, note));
+    rest -= take;
+  }
+  applyLedger();
+  // 使い切ったロットは一覧から外す（履歴は残る）
+  it.lots = it.lots.filter(l=>l.quantity > 0);
+  return quantity - Math.max(0, rest);
+}
+
+/**
+ * アイテムを補充（購入日・期限が同じロットがあれば合算、なければ新規ロット）
+ * @param {Object} it - アイテム
+ * @param {number} quantity - 補充数量
+ * @param {string} purchased - 購入日（YYYY-MM-DD）
+ * @param {string} expiry - 期限（YYYY-MM-DD、なしは空文字）
+ * @param {string} [note] - メモ
+ */
+function restockItem(it, quantity, purchased, expiry, note = ''){
+  let lot = it.lots.find(l=>l.purchased === purchased && l.expiry === expiry);
+  if(!lot){
+    lot = { id: uid(), purchased, quantity: 0, expiry };
+    it.lots.push(lot);
+  }
+  ledger.push(movement(it, lot, 'restock', quantity, purchased || formatDate(new Date()), note));
+  applyLedger();
+}
+
+/**
+ * 編集モーダルでのロット変更を履歴に記録
+ * @param {Object} it - 保存するアイテム
+ * @param {Array} before - 変更前のロット
+ * @param {Array} after - 変更後のロット
+ */
+function recordLotChanges(it, before, after){
+  const today = formatDate(new Date());
+  for(const lot of after){
+    const prev = before.find(l=>l.id === lot.id);
+    if(!prev){
+      ledger.push(movement(it, lot, 'restock', lot.quantity, lot.purchased || today, '新規登録'));
+    }else if(lot.quantity !== prev.quantity){
+      ledger.push(movement(it, lot, 'adjust', lot.quantity - prev.quantity, today, '編集による修正'));
+    }
+  }
+  for(const prev of before){
+    if(prev.quantity > 0 && !after.some(l=>l.id === prev.id)){
+      ledger.push(movement(it, prev, 'adjust', -prev.quantity, today, 'ロット削除'));
+    }
+  }
+}
+
+/**
+ * アイテムの履歴を日付順に取得
+ * @param {Object} it - アイテム
+ * @returns {Array} 履歴配列（古い順）
+ */
+function itemHistory(it){
+  return ledger.filter(m=>m.itemId === it.id)
+    .sort((a,b)=>a.date.localeCompare(b.date) || a.at - b.at);
+}
+
+/**
+ * IDからアイテムを検索
+ * @param {string} id - アイテムID
+ * @returns {Object|undefined} アイテム
+ */
+function findItem(id){ return items.find(it=>it.id === id); }
+
+/**
+ * 在庫データ（アイテム＋履歴）を保存
+ */
+function saveStock(){
+  saveJSON(LS_ITEMS, items);
+  saveJSON(LS_LEDGER, ledger);
+}
+
+/* ===============================
+   DOM Helpers
+
+   jQueryライクなDOM操作ヘルパー関数
+==================================*/
+// 単一要素を取得（querySelector）
+const $ = sel => document.querySelector(sel);
+
+// 複数要素を配列で取得（querySelectorAll）
+const $$ = sel => Array.from(document.querySelectorAll(sel));
+
+/* ===============================
+   Theme Toggle
+
+   ダーク/ライトモードの切り替え機能
+==================================*/
+// 現在のテーマ（デフォルト: dark）
+let currentTheme = localStorage.getItem(LS_THEME) || 'dark';
+
+function setTheme(theme){
+  currentTheme = theme;
+  document.body.setAttribute('data-theme', theme);
+  localStorage.setItem(LS_THEME, theme);
+
+  const icon = $('#themeIcon');
+  const text = $('#themeText');
+  // Show the NEXT theme (what it will switch TO)
+  if(theme === 'light'){
+    // Currently light, will switch to dark
+    icon.textContent = '🌙';
+    text.textContent = 'ダークモードへ切り替え';
+  }else{
+    // Currently dark, will switch to light
+    icon.textContent = '☀️';
+    text.textContent = 'ライトモードへ切り替え';
+  }
+
+  // Re-render charts with new theme colors
+  setTimeout(()=>{
+    drawCategoryChart();
+    drawCoverageCharts();
+    renderScenario();
+  }, 100);
+}
+
+$('#themeToggle').addEventListener('click', ()=>{
+  setTheme(currentTheme === 'dark' ? 'light' : 'dark');
+});
+
+// Initialize theme on load
+setTheme(currentTheme);
+
+/* ===============================
+   Tabs
 ==================================*/
 $$('.tab').forEach(btn=>{
   btn.addEventListener('click', ()=>{
@@ -235,6 +1623,9 @@ $$('.tab').forEach(btn=>{
     // redraw charts when becoming visible
     if(id==='alerts') drawCoverageCharts();
     if(id==='stock') drawCategoryChart();
+    if(id==='shopping') renderShopping();
+    if(id==='gobag') renderGoBags();
+    if(id==='meals') renderScenario();
   });
 });
 
@@ -243,7 +1634,6 @@ $$('.tab').forEach(btn=>{
 ==================================*/
 const modal = $('#itemModal');
 const modalTitle = $('#modalTitle');
-let originalExpiry = ''; // Store original expiry value for reset
 
 function openModal(mode = 'add', itemIndex = -1){
   if(mode === 'edit'){
@@ -255,19 +1645,113 @@ function openModal(mode = 'add', itemIndex = -1){
   modal.classList.add('active');
   document.body.style.overflow = 'hidden'; // Prevent background scroll
 
+  $('#lotRows').innerHTML = '';
   if(mode === 'edit' && itemIndex >= 0){
     const it = items[itemIndex];
     $('#name').value = it.name;
     $('#category').value = it.category;
-    $('#quantity').value = it.quantity;
     $('#unit').value = it.unit||'';
-    $('#expiry').value = it.expiry||'';
+    $('#location').value = it.location||'';
     $('#kcal').value = it.kcal!=null ? it.kcal : '';
+    $('#barcode').value = it.barcode;
+    $('#packageAmount').value = it.packageSize ? it.packageSize.amount : '';
+    $('#packageUnit').value = it.packageSize ? it.packageSize.unit : 'L';
+    $('#essential').value = it.essential;
+    $('#essentialPerUnit').value = it.essentialPerUnit ?? '';
+    setAllergenChecks('#itemAllergens', it.allergens);
+    renderDosageMembers(it.dosage?.memberId);
+    $('#dosagePerDay').value = it.dosage ? it.dosage.perDay : '';
+    $('#dosagePerUnit').value = it.dosage ? it.dosage.perUnit : '';
+    $$('#itemForm [data-nutrient]').forEach(el=>{ el.value = it.nutrients[el.dataset.nutrient] ?? ''; });
+    $('#minQuantity').value = it.minQuantity!=null ? it.minQuantity : '';
+    $('#targetQuantity').value = it.targetQuantity!=null ? it.targetQuantity : '';
     $('#editIndex').value = String(itemIndex);
-    originalExpiry = it.expiry || ''; // Save original value
+    it.lots.forEach(lot=>addLotRow(lot));
+    if(!it.lots.length) addLotRow();
   }else{
-    originalExpiry = ''; // No original value for new items
+    renderDosageMembers('');
+    addLotRow();
   }
+  updateItemFormFields();
+}
+
+/**
+ * 服用する人（ペットを含む）の選択肢を家族メンバーから作成
+ * @param {string} selected - 選択するメンバーID（削除済みのメンバーは未設定にする）
+ */
+function renderDosageMembers(selected){
+  const label = m=>m.type === 'person' ? m.name : `${m.name}（${MEMBER_TYPE_LABELS[m.type]}）`;
+  $('#dosageMember').innerHTML = '<option value="">（未設定）</option>'
+    + family.members.map(m=>`<option value="${escapeHtml(m.id)}">${escapeHtml(label(m))}</option>`).join('');
+  $('#dosageMember').value = family.members.some(m=>m.id === selected) ? selected : '';
+}
+
+/**
+ * カテゴリに応じて入力欄を切り替え（服用量は医薬品のみ）
+ */
+function updateItemFormFields(){
+  $('#itemForm .medicine-fields').hidden = $('#category').value !== 'medicine';
+}
+
+/**
+ * モーダルにロット入力行を追加
+ * @param {Object} [lot] - 既存ロット（省略時は本日購入・数量1の新規ロット）
+ */
+function addLotRow(lot){
+  const row = document.createElement('div');
+  row.className = 'lot-row';
+  // Keep original expiry for the per-row reset button
+  row.dataset.originalExpiry = lot ? lot.expiry : '';
+  row.dataset.lotId = lot ? lot.id : '';
+  row.innerHTML = `
+    <div>
+      <label>購入日</label>
+      <input type="date" class="lot-purchased" />
+    </div>
+    <div>
+      <label>数量<span class="req">*</span></label>
+      <input type="number" class="lot-quantity" min="0" step="0.01" required />
+    </div>
+    <div>
+      <label>賞味/使用期限</label>
+      <input type="date" class="lot-expiry" />
+    </div>
+    <div class="expiry-button-row">
+      <button type="button" class="btn-small" data-lot-reset>リセット</button>
+      <button type="button" class="btn-small" data-lot-none>なし</button>
+      <button type="button" class="btn-small" data-lot-remove aria-label="ロットを削除">×</button>
+    </div>
+  `;
+  row.querySelector('.lot-purchased').value = lot ? lot.purchased : formatDate(new Date());
+  row.querySelector('.lot-quantity').value = lot ? lot.quantity : 1;
+  row.querySelector('.lot-expiry').value = lot ? lot.expiry : '';
+
+  row.querySelector('[data-lot-reset]').addEventListener('click', ()=>{
+    row.querySelector('.lot-expiry').value = row.dataset.originalExpiry;
+  });
+  row.querySelector('[data-lot-none]').addEventListener('click', ()=>{
+    row.querySelector('.lot-expiry').value = '';
+  });
+  row.querySelector('[data-lot-remove]').addEventListener('click', ()=>{
+    // At least one lot row stays in the form
+    if($$('#lotRows .lot-row').length > 1) row.remove();
+  });
+  $('#lotRows').appendChild(row);
+}
+
+/**
+ * モーダルのロット入力行を読み取る（数量0のロットは除外）
+ * @returns {Array} ロット配列
+ */
+function readLotRows(){
+  return validateLots({
+    lots: $$('#lotRows .lot-row').map(row=>({
+      id: row.dataset.lotId,
+      purchased: row.querySelector('.lot-purchased').value,
+      quantity: row.querySelector('.lot-quantity').value,
+      expiry: row.querySelector('.lot-expiry').value
+    }))
+  }).filter(lot=>lot.quantity > 0);
 }
 
 function closeModal(){
@@ -277,6 +1761,9 @@ function closeModal(){
   // Reset form and remove editing highlight
   $('#itemForm').reset();
   $('#editIndex').value = '';
+  $('#catalogHint').textContent = '';
+  $('#barcodeHint').textContent = '';
+  $('#lotRows').innerHTML = '';
   const tbody = $('#stockTable tbody');
   tbody?.querySelectorAll('tr').forEach(row=>row.classList.remove('editing'));
 }
@@ -301,18 +1788,47 @@ modal.addEventListener('click', (e)=>{
 
 // Close modal on Esc key
 document.addEventListener('keydown', (e)=>{
-  if(e.key === 'Escape' && modal.classList.contains('active')){
+  if(e.key !== 'Escape') return;
+  if(modal.classList.contains('active')){
     closeModal();
+  }else{
+    $$('.modal-overlay.active').forEach(closeDialog);
   }
 });
 
-// Expiry date input buttons
-$('#expiryReset').addEventListener('click', ()=>{
-  $('#expiry').value = originalExpiry;
+/**
+ * サブダイアログ（消費・補充、履歴など）を開く
+ * @param {HTMLElement} overlay - .modal-overlay 要素
+ */
+function openDialog(overlay){
+  overlay.classList.add('active');
+  document.body.style.overflow = 'hidden'; // Prevent background scroll
+}
+
+/**
+ * サブダイアログを閉じる
+ * @param {HTMLElement} overlay - .modal-overlay 要素
+ */
+function closeDialog(overlay){
+  overlay.classList.remove('active');
+  if(!$('.modal-overlay.active')) document.body.style.overflow = '';
+}
+
+// Sub dialogs close on overlay click and on [data-close-modal] buttons
+$$('.modal-overlay').filter(o=>o !== modal).forEach(overlay=>{
+  overlay.addEventListener('click', (e)=>{
+    if(e.target === overlay) closeDialog(overlay);
+  });
+  overlay.querySelectorAll('[data-close-modal]').forEach(b=>{
+    b.addEventListener('click', ()=>closeDialog(overlay));
+  });
 });
 
-$('#expiryNone').addEventListener('click', ()=>{
-  $('#expiry').value = '';
+$('#category').addEventListener('change', updateItemFormFields);
+
+// Add another lot (e.g. a second case bought on a different day)
+$('#addLotRow').addEventListener('click', ()=>{
+  addLotRow();
 });
 
 /* ===============================
@@ -321,7 +1837,7 @@ $('#expiryNone').addEventListener('click', ()=>{
 $('#alertMonths').value = String(alertMonths);
 $('#alertMonths').addEventListener('change', e=>{
   alertMonths = parseInt(e.target.value,10);
-  localStorage.setItem(LS_ALERT_MONTHS, String(alertMonths));
+  saveJSON(LS_ALERT_MONTHS, alertMonths);
   renderTable();
   renderAlerts();
 });
@@ -331,22 +1847,65 @@ $('#itemForm').addEventListener('submit', e=>{
   const idx = $('#editIndex').value !== '' ? parseInt($('#editIndex').value,10) : -1;
 
   // Validate and sanitize inputs
-  const validCategories = ['food', 'water', 'medicine', 'pet-food', 'daily', 'tool', 'other'];
-  const category = validCategories.includes($('#category').value) ? $('#category').value : 'other';
+  const category = CATEGORIES.includes($('#category').value) ? $('#category').value : 'other';
 
+  // Editing keeps the item's identity and registration date
+  const prev = idx >= 0 ? items[idx] : null;
   const obj = {
+    id: prev ? prev.id : uid(),
     name: $('#name').value.trim().substring(0, 200), // Max length 200
     category: category,
-    quantity: Math.max(0, parseFloat($('#quantity').value || '0')),
     unit: $('#unit').value.trim().substring(0, 50), // Max length 50
-    expiry: $('#expiry').value || '',
+    location: $('#location').value.trim().substring(0, 50), // Max length 50
+    lots: readLotRows(),
     kcal: $('#kcal').value ? Math.max(0, parseFloat($('#kcal').value)) : null,
-    createdAt: Date.now()
+    nutrients: validNutrients(Object.fromEntries($$('#itemForm [data-nutrient]').map(el=>[el.dataset.nutrient, el.value]))),
+    ...validStockLevels($('#minQuantity').value, $('#targetQuantity').value),
+    createdAt: prev ? prev.createdAt : Date.now()
   };
-  if(!obj.name || isNaN(obj.quantity)) return;
-
-  if(idx >= 0){ items[idx] = obj; } else { items.push(obj); }
-  saveJSON(LS_ITEMS, items);
+  if(!obj.name) return;
+  const barcode = normalizeBarcode($('#barcode').value);
+  if(barcode && !isValidBarcode(barcode)){
+    alert('バーコードが正しくありません。JANコード（13桁または8桁）を確認してください。');
+    return;
+  }
+  obj.barcode = barcode;
+  obj.essential = validEssential($('#essential').value);
+  obj.essentialPerUnit = null;
+  if(obj.essential && $('#essentialPerUnit').value !== ''){
+    obj.essentialPerUnit = validEssentialPerUnit($('#essentialPerUnit').value);
+    if(obj.essentialPerUnit == null){
+      alert('1単位あたりの数は0より大きく10000以下の数値で入力してください。');
+      return;
+    }
+  }
+  obj.packageSize = null;
+  // Units such as L or kg already measure the quantity; package size applies to counted units only
+  if($('#packageAmount').value !== '' && unitInfo(obj.unit).dimension === 'count'){
+    obj.packageSize = validPackageSize({ amount: $('#packageAmount').value, unit: $('#packageUnit').value });
+    if(!obj.packageSize){
+      alert('内容量は0より大きく100000以下の数値で入力してください。');
+      return;
+    }
+  }
+  obj.allergens = checkedAllergens('#itemAllergens');
+  obj.dosage = null;
+  if(category === 'medicine' && $('#dosagePerDay').value !== ''){
+    const perDay = Number($('#dosagePerDay').value);
+    const perUnit = $('#dosagePerUnit').value === '' ? 1 : Number($('#dosagePerUnit').value);
+    if(!(perDay >= 0.01 && perDay <= 100) || !(perUnit >= 0.01 && perUnit <= 10000)){
+      alert('1日の服用回数は0.01〜100、1単位あたりの回数は0.01〜10000の範囲で入力してください。');
+      return;
+    }
+    obj.dosage = validDosage({ memberId: $('#dosageMember').value, perDay, perUnit });
+  }
+  if(barcode) rememberBarcode(obj);
+
+  // Quantity changes made in the form are recorded in the ledger
+  recordLotChanges(obj, prev ? prev.lots : [], obj.lots);
+  if(idx >= 0){ items[idx] = obj; } else { items.push(obj); }
+  applyLedger();
+  saveStock();
 
   closeModal(); // Close modal after save
   renderAll();
@@ -355,34 +1914,23 @@ $('#itemForm').addEventListener('submit', e=>{
 $('#clearAll').addEventListener('click', ()=>{
   if(!confirm('在庫データを全削除します。よろしいですか？')) return;
   items = [];
-  saveJSON(LS_ITEMS, items);
+  ledger = [];
+  saveStock();
+  // Rolling replacements refer to deleted items
+  shopping = shopping.filter(l=>l.source !== 'rolling');
+  saveJSON(LS_SHOPPING, shopping);
   renderAll();
 });
 
 $('#exportJson').addEventListener('click', ()=>{
   const data = {
-    meta: { app: 'rollingstock-planner', ver: 1 },
-    items, family, alertMonths
+    meta: { app: 'rollingstock-planner', kind: 'backup', ver: SCHEMA_VERSION },
+    items, ledger, shopping, family, alertMonths, locations, goBags, needRates, catalog, barcodes, essentials, healthHistory, advisorRules
   };
 
   // Generate filename with timestamp
-  const now = new Date();
-  const yyyy = now.getFullYear();
-  const MM = String(now.getMonth() + 1).padStart(2, '0');
-  const dd = String(now.getDate()).padStart(2, '0');
-  const HH = String(now.getHours()).padStart(2, '0');
-  const mm = String(now.getMinutes()).padStart(2, '0');
-  const ss = String(now.getSeconds()).padStart(2, '0');
-  const timestamp = `${yyyy}${MM}${dd}_${HH}${mm}${ss}`;
-  const filename = `rollingstock-data_${timestamp}.json`;
-
-  const blob = new Blob([JSON.stringify(data,null,2)], {type:'application/json'});
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  const filename = `rollingstock-data_${fileTimestamp()}.json`;
+  downloadFile(JSON.stringify(data,null,2), filename, 'application/json');
 });
 
 $('#importJson').addEventListener('change', async (e)=>{
@@ -400,45 +1948,32 @@ $('#importJson').addEventListener('change', async (e)=>{
     const text = await file.text();
     const data = JSON.parse(text);
 
-    // Validate and sanitize items
-    const validCategories = ['food', 'water', 'medicine', 'pet-food', 'daily', 'tool', 'other'];
-    if(Array.isArray(data.items)){
-      items = data.items.filter(item => item && typeof item === 'object').map(item => ({
-        name: String(item.name || '').trim().substring(0, 200),
-        category: validCategories.includes(item.category) ? item.category : 'other',
-        quantity: Math.max(0, parseFloat(item.quantity) || 0),
-        unit: String(item.unit || '').trim().substring(0, 50),
-        expiry: String(item.expiry || '').substring(0, 20),
-        kcal: item.kcal != null ? Math.max(0, parseFloat(item.kcal) || 0) : null,
-        createdAt: Number(item.createdAt) || Date.now()
-      })).filter(item => item.name); // Remove items without name
+    if(!data || typeof data !== 'object' || (data.meta?.app && data.meta.app !== 'rollingstock-planner')){
+      alert('RollingStock Planner のデータファイルではありません。');
+      return;
     }
-
-    // Validate and sanitize family data
-    if(data.family && typeof data.family === 'object'){
-      family = {
-        adults: Math.max(0, Math.min(100, parseInt(data.family.adults, 10) || 0)),
-        children: Math.max(0, Math.min(100, parseInt(data.family.children, 10) || 0)),
-        seniors: Math.max(0, Math.min(100, parseInt(data.family.seniors, 10) || 0)),
-        dogs: Math.max(0, Math.min(100, parseInt(data.family.dogs, 10) || 0)),
-        cats: Math.max(0, Math.min(100, parseInt(data.family.cats, 10) || 0)),
-        days: [3, 7, 14, 30, 180].includes(parseInt(data.family.days, 10)) ? parseInt(data.family.days, 10) : 7
-      };
+    // Partial exports (barcode table, advisor rules) have their own import and must not replace the stock
+    if((data.meta?.kind && data.meta.kind !== 'backup') || !Array.isArray(data.items)){
+      alert('全体のバックアップファイル（在庫データを含むもの）ではありません。\nバーコード商品表はシステム設定タブの「商品表をインポート」、アドバイザーのルールは「ルール設定（JSON）」欄から読み込んでください。');
+      return;
     }
-
-    // Validate alertMonths
-    if(typeof data.alertMonths === 'number'){
-      alertMonths = [1, 2, 3, 6].includes(data.alertMonths) ? data.alertMonths : 2;
+    // Newer files are refused rather than silently dropping fields this version does not know
+    if(dataVersion(data) > SCHEMA_VERSION){
+      alert(`このファイルは新しいバージョン（v${dataVersion(data)}）のアプリで作成されています。\nアプリを更新してから読み込んでください（このアプリはv${SCHEMA_VERSION}まで対応）。`);
+      return;
     }
 
-    saveJSON(LS_ITEMS, items);
-    saveJSON(LS_FAMILY, family);
-    localStorage.setItem(LS_ALERT_MONTHS, String(alertMonths));
-    // update forms
-    hydrateFamilyForm();
-    $('#alertMonths').value = String(alertMonths);
-    renderAll();
-    alert('インポートしました。');
+    // Same migration and validation path as startup; nothing is saved until confirmed
+    const staged = validateData(migrateData(data));
+
+    pendingImport = { fileName: file.name, data: staged };
+    $('#importFileName').textContent = file.name;
+    // Merge is the safe default when there is already data
+    $(`input[name="importMode"][value="${items.length ? 'merge' : 'replace'}"]`).checked = true;
+    // Same-expiry lots from another household or place are separate stock, so add by default
+    $('input[name="mergeQuantity"][value="sum"]').checked = true;
+    renderImportPreview();
+    openDialog(importModal);
   }catch(err){
     alert('JSONの読み込みに失敗しました。');
   }finally{
@@ -451,106 +1986,2035 @@ $('#search').addEventListener('input', ()=>{
   renderTable();
 });
 $('#sort').addEventListener('change', renderTable);
+$('#locationFilter').addEventListener('change', ()=>{
+  currentPage = 1;
+  renderTable();
+});
 
 // Allow past dates for expiry input (e.g., already expired items)
 // No minimum date restriction
 
 /* ===============================
-   Family Setup
+   Stock Movements
+
+   消費・補充ダイアログと履歴表示
 ==================================*/
-function hydrateFamilyForm(){
-  $('#adults').value = family.adults;
-  $('#children').value = family.children;
-  $('#seniors').value = family.seniors;
-  $('#dogs').value = family.dogs;
-  $('#cats').value = family.cats;
-  $('#days').value = family.days;
+const moveModal = $('#moveModal');
+const historyModal = $('#historyModal');
+
+/**
+ * 消費・補充ダイアログを開く
+ * @param {string} type - 'consume' または 'restock'
+ * @param {Object} it - 対象アイテム
+ * @param {string} [lotId] - 消費するロット（ローリングストック一覧から開いた場合）
+ */
+function openMoveModal(type, it, lotId = ''){
+  if(!it) return;
+  const lot = lotId ? it.lots.find(l=>l.id === lotId) : null;
+  $('#moveTitle').textContent = type === 'consume' ? '消費を記録' : '補充を記録';
+  $('#moveTarget').textContent = lot
+    ? `${it.name}（期限 ${lot.expiry || 'なし'} のロット：残り ${fmtNum(lot.quantity)} ${it.unit||''}）`
+    : `${it.name}（在庫 ${fmtNum(itemQuantity(it))} ${it.unit||''}）`;
+  $('#moveForm').reset();
+  $('#moveType').value = type;
+  $('#moveItemId').value = it.id;
+  $('#moveLotId').value = lotId;
+  $('#moveQuantity').value = 1;
+  $('#moveDate').value = formatDate(new Date());
+  $('#moveDateLabel').textContent = type === 'consume' ? '消費日' : '購入日';
+  // Expiry only applies to new stock
+  $('#moveExpiryField').style.display = type === 'restock' ? '' : 'none';
+  openDialog(moveModal);
 }
-hydrateFamilyForm();
 
-$('#familyForm').addEventListener('submit', e=>{
+$('#moveForm').addEventListener('submit', e=>{
   e.preventDefault();
-  family = {
-    adults: parseInt($('#adults').value||'0',10),
-    children: parseInt($('#children').value||'0',10),
-    seniors: parseInt($('#seniors').value||'0',10),
-    dogs: parseInt($('#dogs').value||'0',10),
-    cats: parseInt($('#cats').value||'0',10),
-    days: parseInt($('#days').value||'7',10)
+  const it = findItem($('#moveItemId').value);
+  const quantity = Math.max(0, parseFloat($('#moveQuantity').value) || 0);
+  if(!it || quantity <= 0) return;
+
+  const date = $('#moveDate').value || formatDate(new Date());
+  const note = $('#moveNote').value.trim().substring(0, 200);
+  if($('#moveType').value === 'consume'){
+    // Consumption from the rolling list is queued for replacement
+    const fromRolling = Boolean($('#moveLotId').value);
+    const consumed = consumeItem(it, quantity, date, note || (fromRolling ? 'ローリングストック消費' : ''), $('#moveLotId').value);
+    if(consumed < quantity){
+      alert(`在庫が不足しているため、${fmtNum(consumed)} ${it.unit||''} のみ消費として記録しました。`);
+    }
+    if(fromRolling && consumed > 0) addRollingReplacement(it, consumed);
+  }else{
+    restockItem(it, quantity, date, $('#moveExpiry').value || '', note);
+  }
+  saveStock();
+  closeDialog(moveModal);
+  renderAll();
+});
+
+/**
+ * アイテムの入出庫履歴を表示
+ * @param {Object} it - 対象アイテム
+ */
+function openHistory(it){
+  if(!it) return;
+  $('#historyTitle').textContent = `履歴：${it.name}`;
+  const tbody = $('#historyTable tbody');
+  const history = itemHistory(it);
+  if(!history.length){
+    tbody.innerHTML = '<tr><td colspan="6" class="empty-state">履歴はありません</td></tr>';
+  }else{
+    // 残高は古い順に積み上げ、新しい順に表示
+    let balance = 0;
+    const rows = history.map(m=>{
+      balance += m.quantity;
+      const sign = m.quantity > 0 ? '+' : '';
+      return `<tr>
+        <td>${escapeHtml(m.date || '—')}</td>
+        <td><span class="movement ${m.type}">${MOVEMENT_LABELS[m.type]}</span></td>
+        <td>${sign}${fmtNum(m.quantity)} ${escapeHtml(it.unit||'')}</td>
+        <td>${escapeHtml(m.expiry || '期限なし')}</td>
+        <td>${escapeHtml(m.note)}</td>
+        <td>${fmtNum(balance)}</td>
+      </tr>`;
+    });
+    tbody.innerHTML = rows.reverse().join('');
+  }
+  openDialog(historyModal);
+}
+
+/* ===============================
+   Shopping List
+
+   買い物リスト
+   - 充足率の不足分（coverage）から自動生成
+   - ローリングストック一覧から消費した分の補充
+   - 最低在庫を下回ったアイテムの補充（minimum）
+   - 手動追加
+   購入済みの行はそのまま在庫（ロット）として登録できる
+==================================*/
+const purchaseModal = $('#purchaseModal');
+
+// 行の発生元ラベル
+const SHOPPING_SOURCE_LABELS = {
+  coverage: '充足率の不足', rolling: 'ローリングストック補充', minimum: '最低在庫割れ', manual: '手動'
+};
+
+/**
+ * 買い物リストの行を生成
+ * @param {Object} fields - 行の内容（name, quantity, unit など）
+ * @returns {Object} 行
+ */
+function shoppingLine(fields){
+  return {
+    id: uid(), name: '', category: 'other', quantity: 1, unit: '', kcal: null,
+    source: 'manual', refId: '', itemId: '', essential: '', note: '', done: false, createdAt: Date.now(),
+    ...fields
   };
-  saveJSON(LS_FAMILY, family);
+}
+
+/**
+ * 現在の在庫状況から自動生成すべき行を算出
+ * @returns {Array} 行（refId で既存行と照合する）
+ */
+function shoppingSuggestions(){
+  const suggestions = [];
+  const cov = coverage();
+  const short = coverageShortfalls(cov);
+  if(short.waterL > 0){
+    suggestions.push({
+      refId: 'coverage:water', source: 'coverage', name: '飲料水', category: 'water',
+      quantity: short.bottles * 2, unit: 'L',
+      note: `2Lペットボトル×${short.bottles}本（不足 ${fmtNum(short.waterL)}L）`
+    });
+  }
+  if(short.kcal > 0){
+    suggestions.push({
+      refId: 'coverage:kcal', source: 'coverage', name: '缶詰・レトルト食品', category: 'food',
+      quantity: short.cans, unit: '個', kcal: KCAL_PER_CAN,
+      note: `不足 ${fmtNum(short.kcal)} kcal（1個約${KCAL_PER_CAN}kcal換算）`
+    });
+  }
+  for(const e of cov.essentials.filter(e=>e.stock < e.need)){
+    suggestions.push({
+      refId: `coverage:${e.key}`, source: 'coverage', essential: e.key, name: e.label, category: e.category,
+      quantity: Math.ceil(e.need - e.stock), unit: e.unit,
+      note: `想定${e.target}日分の不足（1日${fmtNum(e.perDay)}${e.unit}）`
+    });
+  }
+  if(short.petFoodKg > 0){
+    suggestions.push({
+      refId: 'coverage:pet-food', source: 'coverage', name: 'ペットフード', category: 'pet-food',
+      quantity: short.petFoodKg, unit: 'kg',
+      note: `想定日数分の不足 ${fmtNum(short.petFoodKg)} kg`
+    });
+  }
+  for(const it of items.filter(isBelowMinimum)){
+    // ローリングストック補充で買う予定の分は差し引く
+    const planned = sum(shopping.filter(l=>l.refId === `rolling:${it.id}` && !l.done).map(l=>l.quantity));
+    const quantity = Math.round((reorderQuantity(it) - planned) * 100) / 100;
+    if(quantity <= 0) continue;
+    suggestions.push({
+      refId: `minimum:${it.id}`, source: 'minimum', itemId: it.id, essential: it.essential, name: it.name, category: it.category,
+      quantity, unit: it.unit, kcal: it.kcal,
+      note: `在庫 ${fmtNum(itemQuantity(it))} / 最低 ${fmtNum(it.minQuantity)}${it.targetQuantity != null ? ` / 目標 ${fmtNum(it.targetQuantity)}` : ''}`
+    });
+  }
+  return suggestions;
+}
+
+/**
+ * 自動生成行を最新の在庫状況に合わせて更新
+ * - 未購入の自動行：数量を更新、不要になったものは削除
+ * - 購入済みの行：そのまま残し、同じ理由の不足からその数量を差し引く
+ *   （在庫へ登録する前に重複して追加しない。不足が購入済みの分を上回れば、残りを未購入の行にする）
+ */
+function refreshShoppingList(){
+  const before = JSON.stringify(shopping);
+  const suggestions = shoppingSuggestions();
+  const autoSources = ['coverage', 'minimum'];
+
+  shopping = shopping.filter(line=>
+    line.done || !autoSources.includes(line.source) || suggestions.some(s=>s.refId === line.refId)
+  );
+  for(const s of suggestions){
+    const bought = sum(shopping.filter(line=>line.refId === s.refId && line.done && (line.unit||'') === (s.unit||'')).map(line=>line.quantity));
+    const quantity = Math.round((s.quantity - bought) * 100) / 100;
+    const open = shopping.find(line=>line.refId === s.refId && !line.done);
+    if(quantity <= 0){
+      if(open) shopping = shopping.filter(line=>line !== open);
+      continue;
+    }
+    const fields = bought ? { ...s, quantity, note: `${s.note}・購入済み ${fmtNum(bought)}${s.unit||''}を差し引き` } : s;
+    if(open){
+      Object.assign(open, fields);
+    }else{
+      shopping.push(shoppingLine(fields));
+    }
+  }
+  if(JSON.stringify(shopping) !== before) saveJSON(LS_SHOPPING, shopping);
+}
+
+/**
+ * ローリングストック一覧から消費した分を補充行として追加（未購入の同じ行があれば合算）
+ * @param {Object} it - 消費したアイテム
+ * @param {number} quantity - 消費数量
+ */
+function addRollingReplacement(it, quantity){
+  const refId = `rolling:${it.id}`;
+  const open = shopping.find(line=>line.refId === refId && !line.done);
+  if(open){
+    open.quantity = Math.round((open.quantity + quantity) * 100) / 100;
+  }else{
+    shopping.push(shoppingLine({
+      refId, source: 'rolling', itemId: it.id, essential: it.essential, name: it.name, category: it.category,
+      quantity, unit: it.unit, kcal: it.kcal, note: '消費した分を補充'
+    }));
+  }
+  saveJSON(LS_SHOPPING, shopping);
+}
+
+/**
+ * 買い物リストを描画
+ */
+function renderShopping(){
+  const tbody = $('#shoppingTable tbody');
+  if(!shopping.length){
+    tbody.innerHTML = '<tr><td colspan="5" class="empty-state">買い物リストは空です</td></tr>';
+  }else{
+    // 未購入を先に表示
+    const lines = [...shopping].sort((a,b)=>a.done - b.done);
+    tbody.innerHTML = lines.map(line=>`
+      <tr class="${line.done ? 'done' : ''}">
+        <td><input type="checkbox" data-shop-done="${escapeHtml(line.id)}" ${line.done ? 'checked' : ''} aria-label="購入済み" /></td>
+        <td>${escapeHtml(line.name)}${line.note ? `<div class="shopping-note">${escapeHtml(line.note)}</div>` : ''}</td>
+        <td>${fmtNum(line.quantity)} ${escapeHtml(line.unit||'')}</td>
+        <td><span class="shopping-source ${line.source}">${SHOPPING_SOURCE_LABELS[line.source]}</span></td>
+        <td class="row-actions">
+          <button class="btn" data-shop-stock="${escapeHtml(line.id)}" ${line.done ? '' : 'disabled'}>在庫へ登録</button>
+          <button class="btn danger" data-shop-del="${escapeHtml(line.id)}">削除</button>
+        </td>
+      </tr>
+    `).join('');
+  }
+
+  tbody.querySelectorAll('[data-shop-done]').forEach(cb=>{
+    cb.addEventListener('change', ()=>{
+      const line = shopping.find(l=>l.id === cb.dataset.shopDone);
+      if(!line) return;
+      line.done = cb.checked;
+      saveJSON(LS_SHOPPING, shopping);
+      renderShopping();
+    });
+  });
+  tbody.querySelectorAll('[data-shop-stock]').forEach(b=>{
+    b.addEventListener('click', ()=>openPurchaseModal(shopping.find(l=>l.id === b.dataset.shopStock)));
+  });
+  tbody.querySelectorAll('[data-shop-del]').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      shopping = shopping.filter(l=>l.id !== b.dataset.shopDel);
+      saveJSON(LS_SHOPPING, shopping);
+      renderShopping();
+    });
+  });
+
+  const open = shopping.filter(l=>!l.done).length;
+  $('#shoppingSummary').textContent = `未購入：${open}件　｜　購入済み：${shopping.length - open}件`;
+}
+
+/**
+ * 購入済みの行を在庫に登録するダイアログを開く
+ * @param {Object} line - 買い物リストの行
+ */
+function openPurchaseModal(line){
+  if(!line) return;
+  $('#purchaseForm').reset();
+  $('#purchaseLineId').value = line.id;
+  $('#purchaseTarget').textContent = `${line.name}（${fmtNum(line.quantity)} ${line.unit||''}）`;
+  $('#purchaseQuantity').value = line.quantity;
+  $('#purchaseDate').value = formatDate(new Date());
+  openDialog(purchaseModal);
+}
+
+/**
+ * 買い物リストの行に対応する在庫アイテムを探す（なければ新規作成）
+ * 生活必需品の行は、同じ区分に紐づいた同じ単位のアイテムを優先し、新規作成するアイテムにも区分を設定する
+ * （区分のないアイテムは生活必需品の日数に数えないため）
+ * @param {Object} line - 買い物リストの行
+ * @returns {Object} アイテム
+ */
+function itemForShoppingLine(line){
+  const sameUnit = it=>(it.unit||'') === (line.unit||'');
+  const found = findItem(line.itemId)
+    || (line.essential && items.find(it=>it.essential === line.essential && sameUnit(it)))
+    || items.find(it=>it.name === line.name && sameUnit(it));
+  if(found) return found;
+  const [it] = validateItems([{ name: line.name, category: line.category, unit: line.unit, kcal: line.kcal, essential: line.essential, lots: [] }]);
+  items.push(it);
+  return it;
+}
+
+$('#purchaseForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const line = shopping.find(l=>l.id === $('#purchaseLineId').value);
+  const quantity = Math.max(0, parseFloat($('#purchaseQuantity').value) || 0);
+  if(!line || quantity <= 0) return;
+
+  const it = itemForShoppingLine(line);
+  restockItem(it, quantity, $('#purchaseDate').value || formatDate(new Date()), $('#purchaseExpiry').value || '', '買い物リストから登録');
+  shopping = shopping.filter(l=>l.id !== line.id);
+  saveStock();
+  saveJSON(LS_SHOPPING, shopping);
+  closeDialog(purchaseModal);
   renderAll();
 });
 
-$('#resetFamily').addEventListener('click', ()=>{
-  family = { adults:1, children:0, seniors:0, dogs:0, cats:0, days:7 };
+$('#shoppingAddForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const name = $('#shoppingName').value.trim().substring(0, 200);
+  if(!name) return;
+  shopping.push(shoppingLine({
+    name,
+    quantity: Math.max(0, parseFloat($('#shoppingQuantity').value) || 1),
+    unit: $('#shoppingUnit').value.trim().substring(0, 50)
+  }));
+  saveJSON(LS_SHOPPING, shopping);
+  $('#shoppingAddForm').reset();
+  renderShopping();
+});
+
+$('#shoppingClearDone').addEventListener('click', ()=>{
+  if(!shopping.some(l=>l.done)) return;
+  if(!confirm('購入済みの行を削除します。在庫には登録されません。よろしいですか？')) return;
+  shopping = shopping.filter(l=>!l.done);
+  saveJSON(LS_SHOPPING, shopping);
+  renderAll();
+});
+
+$('#shoppingExportText').addEventListener('click', ()=>{
+  const lines = shopping.map(l=>
+    `${l.done ? '☑' : '☐'} ${l.name} × ${fmtNum(l.quantity)}${l.unit||''}${l.note ? `（${l.note}）` : ''}`
+  );
+  downloadFile(['買い物リスト', ...lines].join('\n') + '\n', `rollingstock-shopping_${fileTimestamp()}.txt`, 'text/plain');
+});
+
+$('#shoppingExportCsv').addEventListener('click', ()=>{
+  const rows = [['品名', 'カテゴリ', '数量', '単位', '理由', 'メモ', '購入済み']];
+  for(const l of shopping){
+    rows.push([l.name, labelForCategory(l.category), l.quantity, l.unit, SHOPPING_SOURCE_LABELS[l.source], l.note, l.done ? '済' : '']);
+  }
+  downloadFile(toCsv(rows), `rollingstock-shopping_${fileTimestamp()}.csv`, 'text/csv');
+});
+
+/* ===============================
+   CSV Import / Export
+
+   表計算ソフトとの連携用CSV
+   - エクスポート：ロットごとに1行（カテゴリは日本語ラベル）
+   - インポート：列の対応付け → プレビュー（除外行と理由を表示）→ 取り込み
+==================================*/
+const csvModal = $('#csvModal');
+
+// 取り込み対象の項目と、見出しの自動判定に使う別名（小文字で比較）
+const CSV_FIELDS = [
+  { key: 'name', label: '品名', required: true, aliases: ['品名', '名前', '商品名', 'アイテム', 'name', 'item'] },
+  { key: 'category', label: 'カテゴリ', aliases: ['カテゴリ', 'カテゴリー', '分類', '種類', 'category'] },
+  { key: 'quantity', label: '数量', aliases: ['数量', '個数', '在庫数', 'quantity', 'qty'] },
+  { key: 'unit', label: '単位', aliases: ['単位', 'unit'] },
+  { key: 'packageSize', label: '内容量', aliases: ['内容量', '容量', '内容', 'size'] },
+  { key: 'location', label: '保管場所', aliases: ['保管場所', '場所', 'location'] },
+  { key: 'purchased', label: '購入日', aliases: ['購入日', 'purchased'] },
+  { key: 'expiry', label: '期限', aliases: ['期限', '賞味期限', '消費期限', '使用期限', 'expiry', 'expiration'] },
+  { key: 'kcal', label: 'カロリー', aliases: ['カロリー', 'カロリー(kcal)', 'kcal', 'calories'] },
+  { key: 'protein', label: 'たんぱく質(g)', aliases: ['たんぱく質(g)', 'たんぱく質', 'タンパク質', 'protein'] },
+  { key: 'fat', label: '脂質(g)', aliases: ['脂質(g)', '脂質', 'fat'] },
+  { key: 'carbs', label: '炭水化物(g)', aliases: ['炭水化物(g)', '炭水化物', 'carbs', 'carbohydrate'] },
+  { key: 'salt', label: '食塩相当量(g)', aliases: ['食塩相当量(g)', '食塩相当量', '食塩', '塩分', 'salt'] },
+  { key: 'fiber', label: '食物繊維(g)', aliases: ['食物繊維(g)', '食物繊維', 'fiber', 'fibre'] },
+  { key: 'allergens', label: 'アレルゲン', aliases: ['アレルゲン', 'アレルギー', '特定原材料', 'allergens'] },
+  { key: 'barcode', label: 'バーコード', aliases: ['バーコード', 'janコード', 'jan', 'ean', 'barcode'] },
+  { key: 'minQuantity', label: '最低在庫', aliases: ['最低在庫', 'min'] },
+  { key: 'targetQuantity', label: '目標在庫', aliases: ['目標在庫', 'target'] },
+  { key: 'essential', label: '生活必需品', aliases: ['生活必需品', '必需品', 'essential'] },
+  { key: 'essentialPerUnit', label: '1単位あたりの数（生活必需品）', aliases: ['1単位あたりの数（生活必需品）', '1単位あたりの数', 'essentialperunit'] }
+];
+const CSV_MAX_ROWS = 5000;
+const CSV_PREVIEW_ROWS = 50;
+
+// 読み込んだCSV（{ fileName, headers, rows, mapping }）
+let csvImport = null;
+
+/**
+ * 見出しから列の対応を推定
+ * @param {Array<string>} headers - 見出し行
+ * @returns {Object} 項目キー → 列番号（対応なしは -1）
+ */
+function guessCsvMapping(headers){
+  const normalized = headers.map(h=>String(h).trim().toLowerCase());
+  const mapping = {};
+  for(const f of CSV_FIELDS){
+    mapping[f.key] = normalized.findIndex(h=>f.aliases.includes(h));
+  }
+  return mapping;
+}
+
+/**
+ * カテゴリの値（内部キーまたは labelForCategory の日本語ラベル）を内部キーに変換
+ * @param {string} value - CSVの値
+ * @returns {string} 内部キー（空欄は 'other'、不明な値はそのまま返し検証で除外）
+ */
+function categoryFromCsv(value){
+  const v = String(value || '').trim();
+  if(!v) return 'other';
+  return CATEGORIES.find(k=>k === v.toLowerCase() || labelForCategory(k) === v) || v;
+}
+
+/**
+ * 生活必需品の値（内部キーまたは ESSENTIALS の品目名）を内部キーに変換
+ * 列がない・空欄なら未設定（品名からは推定しない）
+ * @param {string} value - CSVの値
+ * @returns {string} 内部キー（不明な値はそのまま返し検証で除外）
+ */
+function essentialFromCsv(value){
+  const v = String(value || '').trim();
+  if(!v) return '';
+  return ESSENTIALS.find(e=>e.key === v.toLowerCase() || e.label === v)?.key || v;
+}
+
+/**
+ * CSVの日付（2025-10-08 / 2025/10/8 / 2025.10.8）をYYYY-MM-DDに変換
+ * @param {string} value - CSVの値
+ * @returns {string} 変換後の文字列（読み取れない場合は元の値のまま）
+ */
+function dateFromCsv(value){
+  const v = String(value || '').trim();
+  const m = v.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  return m ? `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}` : v;
+}
+
+/**
+ * CSVの1行をアイテム（1ロット）に変換し、validateItems と同じ規則（checkItem）で検証
+ * @param {Array<string>} row - CSVの行
+ * @param {Object} mapping - 項目キー → 列番号
+ * @returns {Object} { raw, errors }
+ */
+function csvRowToItem(row, mapping){
+  const get = key=>mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '';
+  const num = key=>get(key).replace(/,/g, '');
+  const raw = {
+    name: get('name'),
+    category: categoryFromCsv(get('category')),
+    unit: get('unit'),
+    packageSize: get('packageSize') ? parsePackageSize(get('packageSize')) ?? get('packageSize') : null,
+    location: get('location'),
+    kcal: num('kcal') || null,
+    nutrients: Object.fromEntries(NUTRIENTS.map(n=>[n.key, num(n.key) || null])),
+    allergens: allergensFromCsv(get('allergens')),
+    barcode: get('barcode'),
+    minQuantity: num('minQuantity') || null,
+    targetQuantity: num('targetQuantity') || null,
+    essential: essentialFromCsv(get('essential')),
+    essentialPerUnit: num('essentialPerUnit') || null,
+    lots: [{
+      purchased: dateFromCsv(get('purchased')),
+      quantity: mapping.quantity >= 0 ? num('quantity') : '1',  // 数量列がなければ1
+      expiry: dateFromCsv(get('expiry'))
+    }]
+  };
+  raw.packageSize ??= inferPackageSize(raw);
+  return { raw, errors: checkItem(raw).errors };
+}
+
+/**
+ * CSVのアレルゲン（「小麦・卵」「wheat,egg」など）をキーの配列に変換
+ * @param {string} value - CSVの値
+ * @returns {Array<string>} キーの配列（特定原材料でない値はそのまま残し検証で除外）
+ */
+function allergensFromCsv(value){
+  return String(value || '').split(/[・,、/\s]+/).filter(Boolean).map(v=>
+    ALLERGENS.find(a=>a.key === v.toLowerCase() || a.label === v)?.key || v
+  );
+}
+
+/**
+ * 検証済みの行を品名・カテゴリ・単位・保管場所ごとにまとめ、ロットを持つアイテムに変換
+ * @param {Array<Object>} raws - csvRowToItem の raw
+ * @returns {Array} アイテム配列
+ */
+function groupCsvItems(raws){
+  const groups = new Map();
+  for(const raw of raws){
+    const key = JSON.stringify([raw.name, raw.category, raw.unit, raw.location]);
+    const g = groups.get(key);
+    if(g){
+      g.lots.push(...raw.lots);
+      g.kcal ??= raw.kcal;
+      for(const n of NUTRIENTS) g.nutrients[n.key] ??= raw.nutrients[n.key];
+      g.barcode ||= raw.barcode;
+      g.packageSize ??= raw.packageSize;
+      g.allergens = [...new Set([...g.allergens, ...raw.allergens])];
+      g.minQuantity ??= raw.minQuantity;
+      g.targetQuantity ??= raw.targetQuantity;
+      g.essential ||= raw.essential;
+      g.essentialPerUnit ??= raw.essentialPerUnit;
+    }else{
+      groups.set(key, { ...raw, lots: [...raw.lots], nutrients: { ...raw.nutrients } });
+    }
+  }
+  return validateItems([...groups.values()]);
+}
+
+/**
+ * 列の対応付けとプレビューを描画
+ */
+function renderCsvPreview(){
+  const { headers, rows, mapping } = csvImport;
+  $('#csvMapping').innerHTML = CSV_FIELDS.map(f=>`
+    <div>
+      <label>${f.label}${f.required ? '<span class="req">*</span>' : ''}</label>
+      <select data-csv-field="${f.key}">
+        <option value="-1">（使用しない）</option>
+        ${headers.map((h, i)=>`<option value="${i}" ${mapping[f.key] === i ? 'selected' : ''}>${escapeHtml(h || `列${i+1}`)}</option>`).join('')}
+      </select>
+    </div>
+  `).join('');
+  $$('#csvMapping select').forEach(sel=>{
+    sel.addEventListener('change', ()=>{
+      csvImport.mapping[sel.dataset.csvField] = parseInt(sel.value, 10);
+      renderCsvPreview();
+    });
+  });
+
+  const results = rows.map(row=>csvRowToItem(row, mapping));
+  const accepted = results.filter(r=>!r.errors.length).length;
+  const rejected = results.map((r, i)=>({ ...r, line: i + 2 })).filter(r=>r.errors.length);  // 見出しが1行目
+
+  $('#csvPreview tbody').innerHTML = results.slice(0, CSV_PREVIEW_ROWS).map((r, i)=>{
+    const lot = r.raw.lots[0];
+    return `<tr class="${r.errors.length ? 'rejected' : ''}">
+      <td>${i + 2}</td>
+      <td>${escapeHtml(r.raw.name)}</td>
+      <td>${escapeHtml(labelForCategory(r.raw.category))}</td>
+      <td>${escapeHtml(lot.quantity)}</td>
+      <td>${escapeHtml(r.raw.unit)}</td>
+      <td>${escapeHtml(lot.expiry)}</td>
+      <td>${escapeHtml(r.raw.kcal ?? '')}</td>
+      <td>${escapeHtml(ESSENTIALS.find(e=>e.key === r.raw.essential)?.label ?? r.raw.essential)}</td>
+      <td>${r.errors.length ? '<span class="badge red">除外</span>' : '<span class="badge green">OK</span>'}</td>
+    </tr>`;
+  }).join('');
+  $('#csvPreviewNote').textContent = rows.length > CSV_PREVIEW_ROWS ? `先頭${CSV_PREVIEW_ROWS}行を表示（全${rows.length}行）` : `全${rows.length}行`;
+
+  $('#csvRejected').innerHTML = rejected.length
+    ? rejected.slice(0, 200).map(r=>`<li><strong>${r.line}行目</strong>${r.raw.name ? `（${escapeHtml(r.raw.name)}）` : ''}：${r.errors.map(escapeHtml).join(' / ')}</li>`).join('')
+      + (rejected.length > 200 ? `<li>ほか${rejected.length - 200}行</li>` : '')
+    : '<li>除外される行はありません</li>';
+
+  const nameMissing = mapping.name < 0;
+  $('#csvSummary').textContent = nameMissing
+    ? '品名の列を選択してください'
+    : `取り込み可能：${accepted}行 / 除外：${rejected.length}行`;
+  $('#csvImportConfirm').disabled = nameMissing || accepted === 0;
+}
+
+$('#exportCsv').addEventListener('click', ()=>{
+  const rows = [CSV_FIELDS.map(f=>f.label)];
+  for(const it of items){
+    const lots = activeLots(it);
+    // 在庫0のアイテムも1行出力して登録内容を残す
+    for(const lot of lots.length ? lots : [{ purchased: '', quantity: 0, expiry: '' }]){
+      rows.push([
+        it.name, labelForCategory(it.category), lot.quantity, it.unit, it.packageSize ? formatPackageSize(it.packageSize) : '', it.location, lot.purchased, lot.expiry,
+        it.kcal ?? '', ...NUTRIENTS.map(n=>it.nutrients[n.key] ?? ''), allergenLabels(it.allergens), it.barcode, it.minQuantity ?? '', it.targetQuantity ?? '',
+        ESSENTIALS.find(e=>e.key === it.essential)?.label ?? '', it.essentialPerUnit ?? ''
+      ]);
+    }
+  }
+  downloadFile(toCsv(rows), `rollingstock-items_${fileTimestamp()}.csv`, 'text/csv');
+});
+
+$('#importCsv').addEventListener('change', async (e)=>{
+  const file = e.target.files[0];
+  if(!file) return;
+
+  // File size check (max 10MB)
+  if(file.size > 10 * 1024 * 1024){
+    alert('ファイルサイズが大きすぎます（最大10MB）。');
+    e.target.value = '';
+    return;
+  }
+
+  try{
+    const [headers, ...rows] = parseCsv(await file.text());
+    if(!headers || !rows.length){
+      alert('CSVに見出し行とデータ行が見つかりません。');
+      return;
+    }
+    if(rows.length > CSV_MAX_ROWS){
+      alert(`CSVの行数が多すぎます（最大${CSV_MAX_ROWS}行）。`);
+      return;
+    }
+    csvImport = { fileName: file.name, headers: headers.map(h=>h.trim()), rows, mapping: guessCsvMapping(headers) };
+    $('#csvFileName').textContent = file.name;
+    renderCsvPreview();
+    openDialog(csvModal);
+  }catch(err){
+    alert('CSVの読み込みに失敗しました。');
+  }finally{
+    e.target.value = '';
+  }
+});
+
+$('#csvImportConfirm').addEventListener('click', ()=>{
+  if(!csvImport) return;
+  const accepted = csvImport.rows.map(row=>csvRowToItem(row, csvImport.mapping)).filter(r=>!r.errors.length);
+  const imported = groupCsvItems(accepted.map(r=>r.raw));
+  items.push(...imported);
+  // Imported lots get an initial-stock record
+  syncLedger();
+  saveStock();
+  csvImport = null;
+  closeDialog(csvModal);
+  renderAll();
+  alert(`${imported.length}件のアイテム（${accepted.length}行）を追加しました。`);
+});
+
+/* ===============================
+   JSON Import Dialog
+
+   インポート方法の選択（置き換え / 追加 / 統合）と差分プレビュー
+   - 置き換え：在庫・履歴と、ファイルに含まれる買い物リスト・家族構成・設定などをファイルの内容に置き換え
+   - 追加：ファイルのアイテムをすべて新しいアイテムとして追加
+   - 統合：品名・単位・期限が一致するロットは数量を更新、それ以外を追加
+   追加・統合では家族構成と設定は現在のものを維持し、追加したロットにはファイルの入出庫履歴を引き継ぐ
+==================================*/
+const importModal = $('#importModal');
+
+const IMPORT_ACTION_LABELS = { add: '追加', update: '更新', keep: '変更なし', remove: '削除' };
+
+// 置き換えインポートでファイルに含まれていれば置き換わる項目（在庫・履歴以外）
+const IMPORT_SECTION_LABELS = {
+  shopping: '買い物リスト', family: '家族構成', locations: '保管場所の一覧', goBags: '持ち出し袋',
+  alertMonths: '警告閾値', needRates: '必要量の基準', catalog: '商品カタログ', barcodes: 'バーコード商品表',
+  essentials: '生活必需品の基準', healthHistory: '備蓄状況の推移', advisorRules: 'アドバイザーのルール'
+};
+
+// 読み込み済み・検証済みのファイル内容（{ fileName, data }）
+let pendingImport = null;
+
+/**
+ * インポートの差分を算出（在庫はまだ変更しない）
+ * - 統合は品名・単位が同じアイテムにまとめ（保管場所は問わない）、期限が同じロットの数量を合算または上書きする
+ * @param {string} mode - replace / append / merge
+ * @param {Array} incoming - 検証済みのインポートアイテム
+ * @param {string} [mergeQuantity] - 統合で一致したロットの数量：sum（合算）/ overwrite（ファイルの数量で上書き）
+ * @returns {Array} 差分 [{ action, item, lot, target, match, from, to, merge }]
+ *   item: インポート側（remove は現在の）アイテム、target / match: 統合先の既存アイテム・ロット、to: 反映後の数量、merge: 一致したロットの扱い
+ */
+function planImport(mode, incoming, mergeQuantity = 'sum'){
+  const plan = [];
+  const lotsOf = it=>it.lots.length ? it.lots : [null];  // ロットのないアイテムも1行で表示
+  const matched = new Set();  // 既存ロットは1回だけ照合する
+  if(mode === 'replace'){
+    for(const it of items) for(const lot of lotsOf(it)) plan.push({ action: 'remove', item: it, lot, from: lot?.quantity ?? 0 });
+  }
+  for(const it of incoming){
+    const target = mode === 'merge'
+      ? items.find(cur=>cur.name === it.name && (cur.unit||'') === (it.unit||''))
+      : null;
+    for(const lot of lotsOf(it)){
+      const match = target && lot
+        ? target.lots.find(l=>!matched.has(l) && l.expiry === lot.expiry)
+        : null;
+      if(!match){
+        plan.push({ action: 'add', item: it, lot, target, to: lot?.quantity ?? 0 });
+        continue;
+      }
+      matched.add(match);
+      const to = mergeQuantity === 'sum' ? Math.round((match.quantity + lot.quantity) * 1e6) / 1e6 : lot.quantity;
+      plan.push({ action: match.quantity === to ? 'keep' : 'update', item: it, lot, target, match, from: match.quantity, to, merge: mergeQuantity });
+    }
+  }
+  return plan;
+}
+
+/**
+ * 差分を在庫に反映（数量の変化は履歴に記録）
+ * @param {string} mode - replace / append / merge
+ * @param {Object} data - 検証済みのファイル内容
+ * @param {Array} plan - planImport の結果
+ */
+function applyImport(mode, data, plan){
+  if(mode === 'replace'){
+    items = data.items;
+    // Files without a ledger get an initial-stock record per lot
+    ledger = data.ledger || [];
+    syncLedger();
+    if(data.shopping) shopping = data.shopping;
+    if(data.family) family = data.family;
+    if(data.alertMonths) alertMonths = data.alertMonths;
+    if(data.locations) locations = data.locations;
+    if(data.goBags) goBags = data.goBags;
+    if(data.needRates) needRates = data.needRates;
+    if(data.catalog) catalog = data.catalog;
+    if(data.barcodes) barcodes = data.barcodes;
+    if(data.essentials) essentials = data.essentials;
+    if(data.healthHistory) healthHistory = data.healthHistory;
+    if(data.advisorRules) advisorRules = data.advisorRules;
+    return;
+  }
+
+  const today = formatDate(new Date());
+  const created = new Map();  // インポート側アイテム → 新規作成したアイテム
+  // ファイルの入出庫履歴（ロットID → 履歴）
+  const fileMoves = new Map();
+  for(const m of data.ledger || []){
+    if(!fileMoves.has(m.lotId)) fileMoves.set(m.lotId, []);
+    fileMoves.get(m.lotId).push(m);
+  }
+  for(const p of plan){
+    if(p.action === 'update'){
+      ledger.push(movement(p.target, p.match, 'adjust', p.to - p.from, today, p.merge === 'sum' ? 'インポートで合算' : 'インポートで更新'));
+    }else if(p.action === 'add'){
+      // IDは振り直して既存データとの衝突を避ける
+      let dest = p.target || created.get(p.item);
+      if(!dest){
+        dest = { ...p.item, id: uid(), lots: [], createdAt: Date.now() };
+        created.set(p.item, dest);
+        items.push(dest);
+      }
+      if(!p.lot) continue;
+      const lot = { ...p.lot, id: uid() };
+      dest.lots.push(lot);
+      // Carry the lot's history over under the new IDs; only the part it does not explain is an adjustment
+      const moves = (fileMoves.get(p.lot.id) || []).map(m=>({ ...m, id: uid(), itemId: dest.id, lotId: lot.id }));
+      ledger.push(...moves);
+      const rest = Math.round((lot.quantity - sum(moves.map(m=>m.quantity))) * 1e6) / 1e6;
+      if(rest) ledger.push(movement(dest, lot, 'adjust', rest, lot.purchased || today, 'インポートで追加'));
+    }
+  }
+  applyLedger();
+}
+
+/**
+ * インポートダイアログの差分プレビューを描画
+ */
+function renderImportPreview(){
+  const mode = $('input[name="importMode"]:checked').value;
+  const plan = planImport(mode, pendingImport.data.items, $('input[name="mergeQuantity"]:checked').value);
+  $('#mergeOptions').hidden = mode !== 'merge';
+  const count = action=>plan.filter(p=>p.action === action).length;
+
+  $('#importSummary').textContent = Object.keys(IMPORT_ACTION_LABELS)
+    .filter(action=>count(action))
+    .map(action=>`${IMPORT_ACTION_LABELS[action]}：${count(action)}件`)
+    .join(' / ') || 'ファイルにアイテムがありません';
+  const sections = Object.keys(IMPORT_SECTION_LABELS).filter(key=>pendingImport.data[key] != null);
+  const kept = Object.keys(IMPORT_SECTION_LABELS).filter(key=>!sections.includes(key));
+  $('#importNote').textContent = mode === 'replace'
+    ? `現在の在庫・入出庫履歴${sections.map(key=>`・${IMPORT_SECTION_LABELS[key]}`).join('')}はファイルの内容に置き換わります。`
+      + (kept.length ? `ファイルにない${kept.map(key=>IMPORT_SECTION_LABELS[key]).join('・')}は現在のものを維持します。` : '')
+    : '家族構成・保管場所の一覧・持ち出し袋・設定・買い物リスト・備蓄状況の推移は現在のものを維持します（アイテムの保管場所と、追加するロットの入出庫履歴は取り込みます）。';
+
+  // 変更のある行を先に表示
+  const order = { add: 0, update: 1, remove: 2, keep: 3 };
+  const rows = [...plan].sort((a,b)=>order[a.action] - order[b.action]);
+  $('#importDiff tbody').innerHTML = rows.slice(0, 300).map(p=>{
+    // Updates show the lot total after the import and the change
+    const quantity = p.action === 'update' ? `${fmtNum(p.from)} → ${fmtNum(p.to)}<small>（${p.to > p.from ? '+' : '−'}${fmtNum(Math.abs(p.to - p.from))}）</small>`
+      : fmtNum(p.action === 'remove' ? p.from : p.to);
+    return `<tr class="import-${p.action}">
+      <td><span class="import-action ${p.action}">${IMPORT_ACTION_LABELS[p.action]}</span></td>
+      <td>${escapeHtml(p.item.name)}${p.target && p.action === 'add' ? '<small>（既存アイテムにロット追加）</small>' : ''}</td>
+      <td>${escapeHtml(p.item.unit||'')}</td>
+      <td>${escapeHtml(p.item.location||'')}</td>
+      <td>${p.lot?.expiry ? escapeHtml(p.lot.expiry) : '—'}</td>
+      <td>${quantity}</td>
+    </tr>`;
+  }).join('') + (rows.length > 300 ? `<tr><td colspan="6">ほか${rows.length - 300}件</td></tr>` : '');
+  $('#importConfirm').disabled = mode !== 'replace' && !plan.some(p=>p.action === 'add' || p.action === 'update');
+}
+
+$$('input[name="importMode"], input[name="mergeQuantity"]').forEach(r=>r.addEventListener('change', renderImportPreview));
+
+$('#importConfirm').addEventListener('click', ()=>{
+  if(!pendingImport) return;
+  if(storageReadOnly){
+    alert('新しいバージョンのデータを読み取り専用で開いているため、インポートできません。アプリを更新してください。');
+    return;
+  }
+  const mode = $('input[name="importMode"]:checked').value;
+  if(mode === 'replace' && items.length && !confirm('現在のデータをファイルの内容で置き換えます。よろしいですか？')) return;
+  applyImport(mode, pendingImport.data, planImport(mode, pendingImport.data.items, $('input[name="mergeQuantity"]:checked').value));
+  pendingImport = null;
+
+  saveStock();
+  saveJSON(LS_SHOPPING, shopping);
   saveJSON(LS_FAMILY, family);
+  saveJSON(LS_LOCATIONS, locations);
+  saveJSON(LS_GOBAGS, goBags);
+  saveJSON(LS_NEED_RATES, needRates);
+  saveJSON(LS_CATALOG, catalog);
+  saveJSON(LS_BARCODES, barcodes);
+  saveJSON(LS_ESSENTIALS, essentials);
+  saveJSON(LS_HISTORY, healthHistory);
+  saveJSON(LS_ADVISOR_RULES, advisorRules);
+  saveJSON(LS_ALERT_MONTHS, alertMonths);
+  // update forms
   hydrateFamilyForm();
+  $('#alertMonths').value = String(alertMonths);
+  closeDialog(importModal);
   renderAll();
+  alert('インポートしました。');
 });
 
 /* ===============================
-   Calculations
+   Storage Locations
 
-   備蓄量・必要量・充足率の計算関数
+   保管場所（自宅・車・職場・非常用持ち出し袋など）
+   一覧はシステム設定タブで編集し、アイテムの保管場所は自由入力（一覧は入力候補）
 ==================================*/
 
+// 保管場所フィルターの「未設定」を表す値
+const LOCATION_UNSET = '__unset__';
+
+/**
+ * 登録済みの保管場所（一覧＋アイテムで使われている場所）
+ * @returns {Array<string>} 保管場所の配列
+ */
+function allLocations(){
+  return [...new Set([...locations, ...items.map(it=>it.location).filter(Boolean)])];
+}
+
+/**
+ * 保管場所ごとの数量をカテゴリ別に集計
+ * @param {Array<string>} categories - 対象カテゴリ
+ * @returns {Object} 保管場所（未設定は空文字）→ 数量
+ */
+function quantityByLocation(categories){
+  const totals = {};
+  for(const it of items.filter(it=>categories.includes(it.category))){
+    const q = itemQuantity(it);
+    if(q > 0) totals[it.location] = (totals[it.location] || 0) + q;
+  }
+  return totals;
+}
+
+/**
+ * 保管場所の選択肢（フィルター・入力候補・設定一覧）を描画
+ */
+function renderLocations(){
+  const all = allLocations();
+
+  const filter = $('#locationFilter');
+  const current = filter.value;
+  filter.innerHTML = '<option value="">すべての保管場所</option>'
+    + all.map(loc=>`<option value="${escapeHtml(loc)}">${escapeHtml(loc)}</option>`).join('')
+    + `<option value="${LOCATION_UNSET}">未設定</option>`;
+  // 選択中の場所が消えた場合は「すべて」に戻す
+  filter.value = [...filter.options].some(o=>o.value === current) ? current : '';
+
+  $('#locationPresets').innerHTML = all.map(loc=>`<option value="${escapeHtml(loc)}"></option>`).join('');
+
+  const ul = $('#locationList');
+  ul.innerHTML = locations.map(loc=>{
+    const count = items.filter(it=>it.location === loc).length;
+    return `<li>${escapeHtml(loc)} <small>（${count}件）</small>
+      <button class="btn-small" data-location-del="${escapeHtml(loc)}">削除</button></li>`;
+  }).join('') || '<li>保管場所が登録されていません</li>';
+  ul.querySelectorAll('[data-location-del]').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      const loc = b.dataset.locationDel;
+      const used = items.filter(it=>it.location === loc);
+      if(used.length && !confirm(`「${loc}」に保管中のアイテムが${used.length}件あります。削除すると保管場所が未設定になります。よろしいですか？`)) return;
+      locations = locations.filter(l=>l !== loc);
+      used.forEach(it=>{ it.location = ''; });
+      saveJSON(LS_LOCATIONS, locations);
+      saveStock();
+      renderAll();
+    });
+  });
+}
+
+$('#locationAddForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const [loc] = validateLocations([$('#locationName').value]);
+  if(!loc) return;
+  if(!locations.includes(loc)){
+    locations = validateLocations([...locations, loc]);
+    saveJSON(LS_LOCATIONS, locations);
+  }
+  $('#locationName').value = '';
+  renderAll();
+});
+
+/* ===============================
+   Product Catalog
+
+   よく備蓄される商品のカタログ（オフラインで利用できる組み込みデータ＋ユーザー登録分）
+   - アイテム追加時に品名の入力候補として表示し、カテゴリ・単位・カロリー・期限の目安を入力
+   - ユーザー登録分は組み込みの同名の商品より優先
+==================================*/
+
+// 組み込みカタログ（kcal は1単位あたり、packageSize は1単位の内容量、shelfLifeMonths は製造・購入からの一般的な保存期間）
+// allergens は一般的な製品の例（実際の表示は製品ごとに確認する）
+const CATALOG_BUILTIN = [
+  { name: '保存水 2L（5年保存）', category: 'water', unit: '本', packageSize: { amount: 2, unit: 'L' }, kcal: null, shelfLifeMonths: 60 },
+  { name: '飲料水 2Lペットボトル', category: 'water', unit: '本', packageSize: { amount: 2, unit: 'L' }, kcal: null, shelfLifeMonths: 24 },
+  { name: '保存水 500ml', category: 'water', unit: '本', packageSize: { amount: 500, unit: 'ml' }, kcal: null, shelfLifeMonths: 60 },
+  { name: 'アルファ米（白飯）', category: 'food', unit: '袋', kcal: 370, shelfLifeMonths: 60 },
+  { name: 'アルファ米（五目ごはん）', category: 'food', unit: '袋', kcal: 360, shelfLifeMonths: 60 },
+  { name: 'パックご飯', category: 'food', unit: '個', kcal: 300, shelfLifeMonths: 10 },
+  { name: 'レトルトおかゆ', category: 'food', unit: '袋', kcal: 80, shelfLifeMonths: 24 },
+  { name: '乾パン', category: 'food', unit: '缶', kcal: 450, allergens: ['wheat', 'milk'], shelfLifeMonths: 60 },
+  { name: '缶入りパン', category: 'food', unit: '缶', kcal: 300, allergens: ['wheat', 'egg', 'milk'], shelfLifeMonths: 36 },
+  { name: 'ツナ缶', category: 'food', unit: '缶', kcal: 190, shelfLifeMonths: 36 },
+  { name: 'サバ水煮缶', category: 'food', unit: '缶', kcal: 330, shelfLifeMonths: 36 },
+  { name: 'イワシ缶', category: 'food', unit: '缶', kcal: 200, shelfLifeMonths: 36 },
+  { name: '焼き鳥缶', category: 'food', unit: '缶', kcal: 150, shelfLifeMonths: 36 },
+  { name: 'フルーツ缶', category: 'food', unit: '缶', kcal: 130, shelfLifeMonths: 36 },
+  { name: 'レトルトカレー', category: 'food', unit: '袋', kcal: 200, allergens: ['wheat', 'milk'], shelfLifeMonths: 24 },
+  { name: 'レトルト丼の素', category: 'food', unit: '袋', kcal: 150, allergens: ['wheat'], shelfLifeMonths: 18 },
+  { name: 'カップ麺', category: 'food', unit: '個', kcal: 350, allergens: ['wheat'], shelfLifeMonths: 6 },
+  { name: 'インスタントラーメン（袋麺）', category: 'food', unit: '袋', kcal: 450, allergens: ['wheat'], shelfLifeMonths: 8 },
+  { name: '栄養補助食品（ブロックタイプ）', category: 'food', unit: '箱', kcal: 400, allergens: ['wheat', 'egg', 'milk'], shelfLifeMonths: 12 },
+  { name: '保存用ようかん', category: 'food', unit: '本', kcal: 170, shelfLifeMonths: 60 },
+  { name: '野菜ジュース（長期保存）', category: 'food', unit: '缶', kcal: 60, shelfLifeMonths: 60 },
+  { name: '粉ミルク', category: 'food', unit: '缶', kcal: null, allergens: ['milk'], shelfLifeMonths: 18 },
+  { name: '乳児用液体ミルク', category: 'food', unit: '本', kcal: 160, allergens: ['milk'], shelfLifeMonths: 12 },
+  { name: 'カセットボンベ', category: 'tool', unit: '本', kcal: null, essential: 'gas', shelfLifeMonths: 84 },
+  { name: '乾電池（単1）', category: 'tool', unit: '本', kcal: null, essential: 'battery', shelfLifeMonths: 120 },
+  { name: '乾電池（単3）', category: 'tool', unit: '本', kcal: null, essential: 'battery', shelfLifeMonths: 120 },
+  { name: 'モバイルバッテリー', category: 'tool', unit: '個', kcal: null, shelfLifeMonths: null },
+  { name: '懐中電灯', category: 'tool', unit: '個', kcal: null, shelfLifeMonths: null },
+  { name: '簡易トイレ', category: 'daily', unit: '回', kcal: null, essential: 'toilet', shelfLifeMonths: 120 },
+  { name: 'トイレットペーパー', category: 'daily', unit: 'ロール', kcal: null, essential: 'toilet-paper', shelfLifeMonths: null },
+  { name: 'ウェットティッシュ', category: 'daily', unit: '個', kcal: null, shelfLifeMonths: 24 },
+  { name: 'マスク', category: 'daily', unit: '箱', kcal: null, shelfLifeMonths: 60 },
+  { name: '生理用品', category: 'daily', unit: '枚', kcal: null, essential: 'sanitary', shelfLifeMonths: 36 },
+  { name: '紙おむつ', category: 'daily', unit: 'パック', kcal: null, shelfLifeMonths: 36 },
+  { name: 'ポリ袋（45L）', category: 'daily', unit: '枚', kcal: null, shelfLifeMonths: null },
+  { name: '救急セット', category: 'medicine', unit: 'セット', kcal: null, shelfLifeMonths: 36 },
+  { name: 'ペットフード（ドライ）', category: 'pet-food', unit: '袋', kcal: null, shelfLifeMonths: 12 }
+];
+
+/**
+ * 組み込みとユーザー登録分を合わせたカタログ（同名はユーザー登録分を優先）
+ * @returns {Array} カタログ [{ name, category, unit, kcal, shelfLifeMonths, custom }]
+ */
+function catalogEntries(){
+  const names = new Set(catalog.map(e=>e.name));
+  return [
+    ...catalog.map(e=>({ ...e, custom: true })),
+    ...CATALOG_BUILTIN.filter(e=>!names.has(e.name)).map(e=>({ ...e, custom: false }))
+  ];
+}
+
+/**
+ * 品名に一致するカタログの商品
+ * @param {string} name - 品名
+ * @returns {Object|undefined} カタログの商品
+ */
+function findCatalogEntry(name){
+  const key = String(name || '').trim();
+  return key ? catalogEntries().find(e=>e.name === key) : undefined;
+}
+
+/**
+ * 保存期間から期限の目安を算出
+ * @param {Object} entry - カタログの商品
+ * @param {Date} [from] - 起算日（省略時は今日）
+ * @returns {string} 期限の目安（YYYY-MM-DD、保存期間が未設定なら空文字）
+ */
+function suggestedExpiry(entry, from = new Date()){
+  if(!entry.shelfLifeMonths) return '';
+  const d = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  d.setMonth(d.getMonth() + entry.shelfLifeMonths);
+  return formatDate(d);
+}
+
+/**
+ * 保存期間の表示（例：60か月 →「約5年」）
+ * @param {number|null} months - 保存期間（か月）
+ * @returns {string} 表示用の文字列
+ */
+function shelfLifeLabel(months){
+  if(!months) return '期限なし';
+  return months % 12 === 0 ? `約${months / 12}年` : `約${months}か月`;
+}
+
+/**
+ * アイテム追加フォームにカタログの内容を入力
+ * 期限は空欄のロットにだけ「今日＋保存期間」を入れる（入力済みの期限は上書きしない）
+ * @param {Object} entry - カタログの商品
+ */
+function applyCatalogEntry(entry){
+  $('#category').value = entry.category;
+  updateItemFormFields();
+  $('#unit').value = entry.unit;
+  $('#kcal').value = entry.kcal ?? '';
+  if(entry.essential) $('#essential').value = entry.essential;
+  if(entry.packageSize){
+    $('#packageAmount').value = entry.packageSize.amount;
+    $('#packageUnit').value = entry.packageSize.unit;
+  }
+  setAllergenChecks('#itemAllergens', entry.allergens || []);
+  const expiry = suggestedExpiry(entry);
+  if(expiry){
+    $$('#lotRows .lot-expiry').filter(el=>!el.value).forEach(el=>{ el.value = expiry; });
+  }
+  const allergenNote = entry.allergens?.length ? `、アレルゲンの例：${allergenLabels(entry.allergens)}（パッケージで確認してください）` : '';
+  $('#catalogHint').textContent = `カタログから入力しました（保存期間の目安：${shelfLifeLabel(entry.shelfLifeMonths)}${expiry ? `、期限 ${expiry}` : ''}${allergenNote}）`;
+}
+
+/**
+ * 商品カタログ（商品名の入力候補と、システム設定タブの登録一覧・件数）を描画
+ */
+function renderCatalog(){
+  const entries = catalogEntries();
+  $('#catalogPresets').innerHTML = entries.map(e=>`<option value="${escapeHtml(e.name)}"></option>`).join('');
+
+  $('#catalogCount').textContent = `組み込み ${CATALOG_BUILTIN.length}件 ＋ 登録 ${catalog.length}件`;
+  const ul = $('#catalogList');
+  ul.innerHTML = catalog.map(e=>`<li>${escapeHtml(e.name)}
+      <small>（${escapeHtml(labelForCategory(e.category))}・${escapeHtml(e.unit || '単位なし')}${e.kcal != null ? `・${fmtNum(e.kcal)}kcal` : ''}・${shelfLifeLabel(e.shelfLifeMonths)}）</small>
+      <button class="btn-small" data-catalog-del="${escapeHtml(e.id)}">削除</button></li>`).join('')
+    || '<li>登録した商品はありません</li>';
+  ul.querySelectorAll('[data-catalog-del]').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      catalog = catalog.filter(e=>e.id !== b.dataset.catalogDel);
+      saveJSON(LS_CATALOG, catalog);
+      renderCatalog();
+    });
+  });
+}
+
+// Pre-fill only when adding; editing keeps the item's own values
+$('#name').addEventListener('change', ()=>{
+  $('#catalogHint').textContent = '';
+  if($('#editIndex').value !== '') return;
+  const entry = findCatalogEntry($('#name').value);
+  if(entry) applyCatalogEntry(entry);
+  // Guessed essentials link is shown in the hint so a wrong guess gets noticed
+  const essential = !$('#essential').value && ESSENTIALS.find(e=>e.key === essentialForName($('#name').value));
+  if(essential){
+    $('#essential').value = essential.key;
+    $('#catalogHint').textContent += `${$('#catalogHint').textContent ? ' ' : ''}品名から生活必需品「${essential.label}」として数えます。違う場合は「生活必需品」欄を変更してください。`;
+  }
+  // Package size written in the name (e.g. 2Lペットボトル)
+  const size = parsePackageSize($('#name').value);
+  if(size && $('#packageAmount').value === ''){
+    $('#packageAmount').value = size.amount;
+    $('#packageUnit').value = size.unit;
+  }
+});
+
+$('#catalogAddForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const f = e.target.elements;
+  const [entry] = validateCatalog([{
+    id: uid(), name: f.name.value, category: f.category.value, unit: f.unit.value,
+    kcal: f.kcal.value, shelfLifeMonths: f.shelfLifeMonths.value
+  }]);
+  if(!entry) return;
+  if(catalog.some(x=>x.name === entry.name) && !confirm(`「${entry.name}」は登録済みです。上書きしますか？`)) return;
+  catalog = validateCatalog([entry, ...catalog]);
+  saveJSON(LS_CATALOG, catalog);
+  e.target.reset();
+  renderCatalog();
+});
+
+/* ===============================
+   Barcodes
+
+   JAN/EANコードによる入力
+   - アイテム追加フォームでコードを入力すると、バーコード商品表から品名などを入力
+   - 登録済みのアイテムと同じコードなら、重複して作らずに補充の記録を提案
+   - コードつきで保存したアイテムは商品表に自動登録（JSONで読み込み・書き出しも可能）
+==================================*/
+
+/**
+ * コードが一致するアイテム
+ * @param {string} code - バーコード
+ * @returns {Object|undefined} アイテム
+ */
+function itemByBarcode(code){
+  return code ? items.find(it=>it.barcode === code) : undefined;
+}
+
+/**
+ * アイテムの内容でバーコード商品表を更新（保存期間は既存の登録を引き継ぐ）
+ * @param {Object} it - バーコードを持つアイテム
+ */
+function rememberBarcode(it){
+  const prev = barcodes.find(e=>e.code === it.barcode);
+  const entry = {
+    code: it.barcode, name: it.name, category: it.category, unit: it.unit, kcal: it.kcal, allergens: it.allergens, packageSize: it.packageSize, essential: it.essential,
+    shelfLifeMonths: prev ? prev.shelfLifeMonths : null
+  };
+  barcodes = validateBarcodes([entry, ...barcodes]);
+  saveJSON(LS_BARCODES, barcodes);
+}
+
+/**
+ * バーコード入力時の処理（登録済みなら補充を提案、商品表にあれば入力）
+ */
+function lookupBarcode(){
+  const hint = $('#barcodeHint');
+  const code = normalizeBarcode($('#barcode').value);
+  hint.textContent = '';
+  hint.classList.remove('error');
+  if(!code) return;
+  if(!isValidBarcode(code)){
+    hint.textContent = 'チェックデジットが一致しません。コードを確認してください。';
+    hint.classList.add('error');
+    return;
+  }
+  $('#barcode').value = code;
+
+  const editing = $('#editIndex').value !== '' ? items[parseInt($('#editIndex').value, 10)] : null;
+  const existing = itemByBarcode(code);
+  if(existing && existing !== editing){
+    if(confirm(`このバーコードは「${existing.name}」として登録済みです。\n新しく登録せずに補充を記録しますか？`)){
+      closeModal();
+      openMoveModal('restock', existing);
+      return;
+    }
+    hint.textContent = `「${existing.name}」と同じバーコードです。`;
+    return;
+  }
+  if(editing) return;
+
+  const entry = barcodes.find(e=>e.code === code);
+  if(entry){
+    $('#name').value = entry.name;
+    // Shelf life falls back to the catalog entry of the same name
+    applyCatalogEntry({ ...entry, shelfLifeMonths: entry.shelfLifeMonths ?? findCatalogEntry(entry.name)?.shelfLifeMonths ?? null });
+    hint.textContent = 'バーコード商品表から入力しました。';
+  }else{
+    hint.textContent = '未登録のバーコードです。保存すると商品表に登録します。';
+  }
+}
+
+/**
+ * バーコード商品表の登録一覧（先頭100件）と件数を描画
+ */
+function renderBarcodes(){
+  $('#barcodeCount').textContent = `登録 ${barcodes.length}件`;
+  const ul = $('#barcodeList');
+  ul.innerHTML = barcodes.slice(0, 100).map(e=>`<li><code>${escapeHtml(e.code)}</code> ${escapeHtml(e.name)}
+      <button class="btn-small" data-barcode-del="${escapeHtml(e.code)}">削除</button></li>`).join('')
+    + (barcodes.length > 100 ? `<li>ほか${barcodes.length - 100}件</li>` : '')
+    || '<li>登録されたバーコードはありません</li>';
+  ul.querySelectorAll('[data-barcode-del]').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      barcodes = barcodes.filter(e=>e.code !== b.dataset.barcodeDel);
+      saveJSON(LS_BARCODES, barcodes);
+      renderBarcodes();
+    });
+  });
+}
+
+$('#barcode').addEventListener('change', lookupBarcode);
+
+$('#exportBarcodes').addEventListener('click', ()=>{
+  const data = { meta: { app: 'rollingstock-planner', kind: 'barcodes', ver: SCHEMA_VERSION }, barcodes };
+  downloadFile(JSON.stringify(data, null, 2), `rollingstock-barcodes_${fileTimestamp()}.json`, 'application/json');
+});
+
+$('#importBarcodes').addEventListener('change', async (e)=>{
+  const file = e.target.files[0];
+  if(!file) return;
+
+  // File size check (max 10MB)
+  if(file.size > 10 * 1024 * 1024){
+    alert('ファイルサイズが大きすぎます（最大10MB）。');
+    e.target.value = '';
+    return;
+  }
+
+  try{
+    const data = JSON.parse(await file.text());
+    // Accepts the barcode file, a full backup, or a bare array
+    const list = Array.isArray(data) ? data : data?.barcodes;
+    if(!Array.isArray(list) || (data.meta?.app && data.meta.app !== 'rollingstock-planner')){
+      alert('バーコード商品表のファイルではありません。');
+      return;
+    }
+    const imported = validateBarcodes(list);
+    if(!imported.length){
+      alert('読み込めるバーコードがありませんでした。');
+      return;
+    }
+    const updated = imported.filter(x=>barcodes.some(e=>e.code === x.code)).length;
+    if(!confirm(`${imported.length}件のバーコードを読み込みます（新規 ${imported.length - updated}件・上書き ${updated}件）。よろしいですか？`)) return;
+    barcodes = validateBarcodes([...imported, ...barcodes]);
+    saveJSON(LS_BARCODES, barcodes);
+    renderBarcodes();
+    alert(`${imported.length}件のバーコードを読み込みました。`);
+  }catch(err){
+    alert('JSONの読み込みに失敗しました。');
+  }finally{
+    e.target.value = '';
+  }
+});
+
+/* ===============================
+   Allergens
+
+   特定原材料のアレルゲン表示（アイテム）と食事制限（家族メンバー）
+   制限のあるメンバーの充足率は、そのアレルゲンを含まない食料だけで計算（allocateFood）
+==================================*/
+
+/**
+ * アレルゲンのキーを表示用のラベルに変換
+ * @param {Array<string>} keys - アレルゲンのキー
+ * @returns {string} 「小麦・卵」のような文字列
+ */
+function allergenLabels(keys){
+  return ALLERGENS.filter(a=>keys.includes(a.key)).map(a=>a.label).join('・');
+}
+
+/**
+ * チェックボックスの選択状態を設定
+ * @param {string} selector - チェックボックスを含む要素
+ * @param {Array<string>} keys - 選択するアレルゲンのキー
+ */
+function setAllergenChecks(selector, keys){
+  $$(`${selector} input[type="checkbox"]`).forEach(el=>{ el.checked = keys.includes(el.value); });
+}
+
+/**
+ * 選択されたアレルゲンのキー
+ * @param {string} selector - チェックボックスを含む要素
+ * @returns {Array<string>} キーの配列
+ */
+function checkedAllergens(selector){
+  return validAllergens($$(`${selector} input[type="checkbox"]:checked`).map(el=>el.value));
+}
+
+// Both the item modal and the member form list the same 8 allergens
+for(const selector of ['#itemAllergens', '#memberRestrictions']){
+  $(selector).innerHTML = ALLERGENS.map(a=>
+    `<label class="check-chip"><input type="checkbox" value="${a.key}" /> ${a.label}</label>`
+  ).join('');
+}
+
+/* ===============================
+   Family Setup
+
+   家族構成（メンバー一覧）
+   人は年齢・性別・体重・妊娠/授乳、ペットは体重から必要量を個別に算出
+==================================*/
+const MEMBER_TYPE_LABELS = { person: '人', dog: '犬', cat: '猫' };
+const SEX_LABELS = { male: '男性', female: '女性', '': '—' };
+const PREGNANCY_LABELS = { none: '', pregnant: '妊娠中', lactating: '授乳中' };
+// 必要量の基準の区分ラベル・対象
+const NEED_ROLE_LABELS = { adult: '成人', child: '子ども', senior: '高齢者', dog: '犬', cat: '猫' };
+const NEED_ROLE_HINTS = { adult: '18〜64歳', child: '0〜17歳', senior: '65歳以上', dog: '1匹あたり', cat: '1匹あたり' };
+
+/**
+ * 人の年齢区分（成人 18–64歳 / 子ども 0–17歳 / 高齢者 65歳以上）
+ * @param {Object} m - メンバー
+ * @returns {string} adult / child / senior
+ */
+function personGroup(m){
+  return m.age < 18 ? 'child' : m.age >= 65 ? 'senior' : 'adult';
+}
+
+/**
+ * 必要量の基準の区分（人は年齢で成人・子ども・高齢者、ペットは種類）
+ * @param {Object} m - メンバー
+ * @returns {string} adult / child / senior / dog / cat
+ */
+function memberRole(m){
+  return m.type === 'person' ? personGroup(m) : m.type;
+}
+
+/**
+ * 区分ごとの人数・頭数
+ * @returns {Object} { adults, children, seniors, dogs, cats }
+ */
+function familyCounts(){
+  const people = family.members.filter(m=>m.type === 'person');
+  return {
+    adults: people.filter(m=>personGroup(m) === 'adult').length,
+    children: people.filter(m=>personGroup(m) === 'child').length,
+    seniors: people.filter(m=>personGroup(m) === 'senior').length,
+    dogs: family.members.filter(m=>m.type === 'dog').length,
+    cats: family.members.filter(m=>m.type === 'cat').length
+  };
+}
+
+function hydrateFamilyForm(){
+  $('#days').value = family.days;
+  resetMemberForm();
+  renderRateForm();
+  renderEssentialForm();
+}
+
+/**
+ * 必要量の基準の入力欄を描画（空欄は自動算出）
+ */
+function renderRateForm(){
+  const input = (role, field)=>{
+    if(!(field in needRates[role])) return '—';
+    const [max, step] = field === 'water' ? [20, 0.1] : [5000, 10];
+    return `<input type="number" min="0" max="${max}" step="${step}" placeholder="自動" data-rate-role="${role}" data-rate-field="${field}" value="${needRates[role][field] ?? ''}" />`;
+  };
+  $('#rateTable tbody').innerHTML = Object.entries(NEED_ROLE_LABELS).map(([role, label])=>`<tr>
+      <td>${label}<br><small>${NEED_ROLE_HINTS[role]}</small></td>
+      <td>${input(role, 'water')}</td>
+      <td>${input(role, 'kcal')}</td>
+    </tr>`).join('');
+}
+
+/**
+ * 設定済みの必要量の基準の要約（例：「成人 水3L・子ども 1400kcal」）
+ * @returns {string} 要約（すべて自動算出なら空文字）
+ */
+function needRatesSummary(){
+  return Object.entries(NEED_ROLE_LABELS).map(([role, label])=>{
+    const r = needRates[role];
+    const parts = [
+      r.water != null ? `水${fmtNum(r.water)}L` : '',
+      r.kcal != null ? `${fmtNum(r.kcal)}kcal` : ''
+    ].filter(Boolean);
+    return parts.length ? `${label} ${parts.join('・')}` : '';
+  }).filter(Boolean).join('・');
+}
+
+/**
+ * メンバー入力フォームを新規追加の状態に戻す
+ */
+function resetMemberForm(){
+  $('#memberForm').reset();
+  $('#memberId').value = '';
+  $('#memberSubmit').textContent = '追加';
+  $('#memberCancel').hidden = true;
+  updateMemberFormFields();
+}
+
+/**
+ * 区分・性別に応じて入力欄を切り替え（ペットは年齢・性別・妊娠を使わず、フードの1日量を使う）
+ */
+function updateMemberFormFields(){
+  const isPerson = $('#memberType').value === 'person';
+  $$('#memberForm .person-only').forEach(el=>{ el.hidden = !isPerson; });
+  $$('#memberForm .pet-only').forEach(el=>{ el.hidden = isPerson; });
+  const canBePregnant = isPerson && $('#memberSex').value === 'female';
+  $('#memberPregnancy').disabled = !canBePregnant;
+  if(!canBePregnant) $('#memberPregnancy').value = 'none';
+}
+
+/**
+ * メンバー一覧と必要量の内訳を描画
+ */
+function renderFamily(){
+  const needs = calcNeeds();
+  const totalWater = sum(needs.perMember.map(p=>p.water));
+  const totalKcal = sum(needs.perMember.map(p=>p.kcal));
+  const totalPetFood = sum(needs.perMember.map(p=>p.petFood));
+  const share = (v, total)=>total ? Math.round(v / total * 100) : 0;
+
+  const tbody = $('#memberTable tbody');
+  if(!needs.perMember.length){
+    tbody.innerHTML = '<tr><td colspan="6" class="empty-state">メンバーが登録されていません</td></tr>';
+  }else{
+    tbody.innerHTML = needs.perMember.map(({ member: m, water, kcal, petFood })=>{
+      const profile = m.type === 'person'
+        ? [`${m.age}歳`, m.sex ? SEX_LABELS[m.sex] : '', PREGNANCY_LABELS[m.pregnancy]].filter(Boolean).join('・')
+        : MEMBER_TYPE_LABELS[m.type];
+      const restriction = m.restrictions.length ? `<div class="item-allergens">🚫 ${escapeHtml(allergenLabels(m.restrictions))}</div>` : '';
+      const waterShare = share(water, totalWater);
+      const kcalShare = share(kcal, totalKcal);
+      return `<tr>
+        <td>${escapeHtml(m.name)}</td>
+        <td>${escapeHtml(profile)}${restriction}</td>
+        <td>${m.weight ? `${fmtNum(m.weight)} kg` : '—'}</td>
+        <td>${fmtNum(water)} L<div class="share-bar water"><span style="width:${waterShare}%"></span></div><small>${waterShare}%</small></td>
+        <td>${m.type === 'person' ? `${fmtNum(kcal)} kcal<div class="share-bar kcal"><span style="width:${kcalShare}%"></span></div><small>${kcalShare}%</small>` : `フード ${fmtNum(petFood)} g${m.foodGrams == null ? '<br><small>体重から算出</small>' : ''}`}</td>
+        <td class="row-actions">
+          <button class="btn" data-member-edit="${escapeHtml(m.id)}">編集</button>
+          <button class="btn danger" data-member-del="${escapeHtml(m.id)}">削除</button>
+        </td>
+      </tr>`;
+    }).join('');
+  }
+  const petFoodSummary = totalPetFood ? ` / ペットフード ${fmtNum(totalPetFood)} g` : '';
+  $('#memberSummary').textContent = `1日あたり 水 ${fmtNum(totalWater)} L / ${fmtNum(totalKcal)} kcal${petFoodSummary} × ${family.days}日`;
+
+  tbody.querySelectorAll('[data-member-edit]').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      const m = family.members.find(x=>x.id === b.dataset.memberEdit);
+      $('#memberId').value = m.id;
+      $('#memberName').value = m.name;
+      $('#memberType').value = m.type;
+      $('#memberAge').value = m.age;
+      $('#memberSex').value = m.sex;
+      $('#memberWeight').value = m.weight ?? '';
+      $('#memberPregnancy').value = m.pregnancy;
+      $('#memberFoodGrams').value = m.foodGrams ?? '';
+      setAllergenChecks('#memberRestrictions', m.restrictions);
+      $('#memberSubmit').textContent = '更新';
+      $('#memberCancel').hidden = false;
+      updateMemberFormFields();
+      $('#memberName').focus();
+    });
+  });
+  tbody.querySelectorAll('[data-member-del]').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      const m = family.members.find(x=>x.id === b.dataset.memberDel);
+      if(!confirm(`「${m.name}」を家族構成から削除します。よろしいですか？`)) return;
+      family.members = family.members.filter(x=>x !== m);
+      saveJSON(LS_FAMILY, family);
+      renderAll();
+    });
+  });
+}
+
+$('#memberType').addEventListener('change', updateMemberFormFields);
+$('#memberSex').addEventListener('change', updateMemberFormFields);
+$('#memberCancel').addEventListener('click', resetMemberForm);
+
+$('#memberForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const id = $('#memberId').value;
+  if(!id && family.members.length >= 100){
+    alert('登録できるメンバーは100人（匹）までです。');
+    return;
+  }
+  const fields = {
+    id: id || uid(),
+    name: $('#memberName').value,
+    type: $('#memberType').value,
+    age: $('#memberAge').value,
+    sex: $('#memberSex').value,
+    weight: $('#memberWeight').value,
+    pregnancy: $('#memberPregnancy').value,
+    restrictions: checkedAllergens('#memberRestrictions'),
+    foodGrams: $('#memberFoodGrams').value
+  };
+  const age = Number(fields.age);
+  if(fields.type === 'person' && (fields.age === '' || !Number.isInteger(age) || age < 0 || age > 120)){
+    alert('年齢は0〜120の整数で入力してください。');
+    return;
+  }
+  const weight = Number(fields.weight);
+  if(fields.weight !== '' && !(weight >= 0.1 && weight <= 300)){
+    alert('体重は0.1〜300kgの範囲で入力してください。');
+    return;
+  }
+  const foodGrams = Number(fields.foodGrams);
+  if(fields.type !== 'person' && fields.foodGrams !== '' && !(foodGrams >= 1 && foodGrams <= 5000)){
+    alert('フードの1日量は1〜5000gの範囲で入力してください。');
+    return;
+  }
+  // Validate through the same path as loading and import
+  const members = id ? family.members.map(m=>m.id === id ? fields : m) : [...family.members, fields];
+  family = validateFamily({ ...family, members });
+  saveJSON(LS_FAMILY, family);
+  resetMemberForm();
+  renderAll();
+});
+
+$('#familyForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const days = Number($('#days').value);
+  if(!Number.isInteger(days) || days < 1 || days > 365){
+    alert('想定日数は1〜365の整数で入力してください。');
+    return;
+  }
+  family = validateFamily({ ...family, days });
+  saveJSON(LS_FAMILY, family);
+  renderAll();
+});
+
+$('#resetFamily').addEventListener('click', ()=>{
+  if(!confirm('家族構成を初期状態（成人1人・7日）に戻します。よろしいですか？')) return;
+  family = validateFamily(null);
+  saveJSON(LS_FAMILY, family);
+  hydrateFamilyForm();
+  renderAll();
+});
+
+$('#rateForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const raw = {};
+  for(const el of $$('#rateTable [data-rate-role]')){
+    const v = el.value.trim();
+    if(v !== '' && !(Number(v) >= 0 && Number(v) <= Number(el.max))){
+      alert(`${NEED_ROLE_LABELS[el.dataset.rateRole]}の${el.dataset.rateField === 'water' ? '水は0〜20L' : 'カロリーは0〜5000kcal'}の範囲で入力してください。`);
+      return;
+    }
+    (raw[el.dataset.rateRole] ??= {})[el.dataset.rateField] = v;
+  }
+  needRates = validateNeedRates(raw);
+  saveJSON(LS_NEED_RATES, needRates);
+  renderRateForm();
+  renderAll();
+});
+
+$('#resetRates').addEventListener('click', ()=>{
+  if(!confirm('必要量の基準を既定値（年齢・性別・体重から自動算出）に戻します。よろしいですか？')) return;
+  needRates = validateNeedRates(null);
+  saveJSON(LS_NEED_RATES, needRates);
+  renderRateForm();
+  renderAll();
+});
+
+$('#essentialForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const raw = {};
+  for(const { key, label } of ESSENTIALS){
+    const v = $(`#essentialTable [data-essential-rate="${key}"]`).value.trim();
+    if(v !== '' && !(Number(v) >= 0 && Number(v) <= 100)){
+      alert(`${label}の1日あたりの量は0〜100の範囲で入力してください。`);
+      return;
+    }
+    raw[key] = { perDay: v, enabled: $(`#essentialTable [data-essential-enabled="${key}"]`).checked };
+  }
+  essentials = validateEssentials(raw);
+  saveJSON(LS_ESSENTIALS, essentials);
+  renderEssentialForm();
+  renderAll();
+});
+
+$('#resetEssentials').addEventListener('click', ()=>{
+  if(!confirm('生活必需品の基準を既定値に戻します。よろしいですか？')) return;
+  essentials = validateEssentials(null);
+  saveJSON(LS_ESSENTIALS, essentials);
+  renderEssentialForm();
+  renderAll();
+});
+
+hydrateFamilyForm();
+
+/* ===============================
+   Go-Bags
+
+   非常用持ち出し袋（避難所への避難用）
+   在宅避難用の備蓄とは別に、家族1人ずつ（＋ペット用）の袋をチェックリストで管理
+   - 家族構成から袋を自動作成し、推奨テンプレートの品目を入れる
+   - 準備度 = 準備済み（期限切れを除く）の品目 / 全品目
+==================================*/
+
+// 推奨テンプレート（qty は人の区分ごと、household は世帯で1つ＝最初の袋のみ）
+const GO_BAG_TEMPLATE = [
+  { id: 'water', name: '飲料水（500ml）', unit: '本', qty: { adult: 3, child: 2, senior: 3 }, expires: true },
+  { id: 'food', name: '非常食（そのまま食べられるもの）', unit: '食', qty: { adult: 3, child: 3, senior: 3 }, expires: true },
+  { id: 'light', name: 'ライト（懐中電灯・ヘッドライト）', unit: '個', qty: 1 },
+  { id: 'radio', name: '携帯ラジオ（予備電池）', unit: '台', qty: 1, household: true },
+  { id: 'medicine', name: '常備薬・お薬手帳のコピー', unit: '式', qty: 1, expires: true },
+  { id: 'firstaid', name: '救急セット（絆創膏・消毒液）', unit: '式', qty: 1, household: true },
+  { id: 'documents', name: '身分証・保険証のコピー', unit: '式', qty: 1 },
+  { id: 'cash', name: '現金（小銭を含む）', unit: '式', qty: 1 },
+  { id: 'hygiene', name: 'マスク・ウェットティッシュ・携帯トイレ', unit: '式', qty: 1 },
+  { id: 'clothes', name: '着替え・防寒具（アルミシート）', unit: '式', qty: 1 },
+  { id: 'contact', name: '連絡先・集合場所のメモ', unit: '枚', qty: 1, types: ['child', 'senior'] },
+  { id: 'glasses', name: '眼鏡・入れ歯・補聴器', unit: '式', qty: 1, types: ['senior'] }
+];
+
+// ペット用テンプレート（qty は familyCounts() の犬・猫の頭数から算出）
+const GO_BAG_PET_TEMPLATE = [
+  { id: 'pet-food', name: 'ペットフード（5日分）', unit: '袋', qty: f=>f.dogs + f.cats, expires: true },
+  { id: 'pet-water', name: 'ペット用の水（500ml）', unit: '本', qty: f=>(f.dogs + f.cats) * 2, expires: true },
+  { id: 'pet-carrier', name: 'キャリーバッグ・ケージ', unit: '個', qty: f=>f.dogs + f.cats },
+  { id: 'pet-leash', name: 'リード・首輪・迷子札', unit: '式', qty: f=>f.dogs },
+  { id: 'pet-litter', name: '猫砂・トイレ用品', unit: '式', qty: f=>f.cats ? 1 : 0 },
+  { id: 'pet-sheets', name: 'ペットシーツ・うんち袋', unit: '式', qty: f=>f.dogs ? 1 : 0 },
+  { id: 'pet-meds', name: 'ペットの常備薬', unit: '式', qty: ()=>1, expires: true },
+  { id: 'pet-records', name: 'ワクチン接種証明・ペットの写真', unit: '式', qty: ()=>1 }
+];
+
+/**
+ * 家族構成から持ち出し袋の持ち主一覧を作成（人は1人1袋、ペットはまとめて1袋）
+ * @returns {Array} [{ member, type, label }]（member は袋のキー＝メンバーID）
+ */
+function goBagMembers(){
+  const members = family.members
+    .filter(m=>m.type === 'person')
+    .map(m=>({ member: m.id, type: personGroup(m), label: m.name }));
+  if(family.members.some(m=>m.type !== 'person')) members.push({ member: 'pets', type: 'pets', label: 'ペット' });
+  return members;
+}
+
+/**
+ * テンプレートから袋の品目を作成
+ * @param {Object} owner - goBagMembers の要素
+ * @param {boolean} first - 世帯で最初の袋か（household の品目を入れる）
+ * @returns {Array} 品目配列
+ */
+function goBagTemplateItems(owner, first){
+  const entry = (t, quantity)=>({
+    id: uid(), templateId: t.id, name: t.name, quantity, unit: t.unit, packed: false, expiry: ''
+  });
+  if(owner.type === 'pets'){
+    const counts = familyCounts();
+    return GO_BAG_PET_TEMPLATE.map(t=>entry(t, t.qty(counts))).filter(it=>it.quantity > 0);
+  }
+  return GO_BAG_TEMPLATE
+    .filter(t=>(!t.household || first) && (!t.types || t.types.includes(owner.type)))
+    .map(t=>entry(t, typeof t.qty === 'object' ? t.qty[owner.type] : t.qty));
+}
+
+/**
+ * 家族構成に合わせて袋を追加（家族構成にいない袋は削除せず残す）
+ * @returns {boolean} 追加した場合 true
+ */
+function syncGoBags(){
+  const members = goBagMembers();
+  let changed = false;
+  members.forEach((owner, i)=>{
+    if(goBags.some(b=>b.member === owner.member)) return;
+    goBags.push({ member: owner.member, items: goBagTemplateItems(owner, i === 0 && owner.type !== 'pets') });
+    changed = true;
+  });
+  if(changed) saveJSON(LS_GOBAGS, goBags);
+  return changed;
+}
+
+/**
+ * 持ち出し袋の品目の期限状態
+ * @param {Object} entry - 品目
+ * @returns {string} expired / near / ok / none
+ */
+function goBagExpiryState(entry){
+  const d = parseDate(entry.expiry);
+  if(!d) return 'none';
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const warnEdge = new Date(now);
+  warnEdge.setMonth(now.getMonth() + alertMonths);
+  if(d < today) return 'expired';
+  return d <= warnEdge ? 'near' : 'ok';
+}
+
+/**
+ * 袋の準備度（期限切れの品目は準備済みに数えない）
+ * @param {Object} bag - 持ち出し袋
+ * @returns {number} 0〜100（%）
+ */
+function goBagScore(bag){
+  if(!bag.items.length) return 0;
+  const ready = bag.items.filter(it=>it.packed && goBagExpiryState(it) !== 'expired').length;
+  return Math.round(ready / bag.items.length * 100);
+}
+
+/**
+ * 家族全体の準備度と期限の集計
+ * @returns {Object} { score, expired, near, bags }
+ */
+function goBagSummary(){
+  const active = new Set(goBagMembers().map(o=>o.member));
+  const bags = goBags.filter(b=>active.has(b.member));
+  const entries = bags.flatMap(b=>b.items);
+  return {
+    score: bags.length ? Math.round(sum(bags.map(goBagScore)) / bags.length) : 0,
+    expired: entries.filter(it=>goBagExpiryState(it) === 'expired').length,
+    near: entries.filter(it=>goBagExpiryState(it) === 'near').length,
+    bags: bags.length
+  };
+}
+
+/**
+ * 持ち出し袋タブを描画
+ */
+function renderGoBags(){
+  syncGoBags();
+  const members = goBagMembers();
+  const summary = goBagSummary();
+
+  $('#goBagScore').textContent = summary.bags ? `${summary.score}%` : '—';
+  $('#goBagSummary').textContent = summary.bags
+    ? `${summary.bags}袋 / 期限切れ ${summary.expired}件 / 期限間近 ${summary.near}件`
+    : '家族構成タブで人数を設定すると袋が作成されます';
+
+  // 家族構成の順に並べ、いなくなったメンバーの袋は末尾に表示
+  const order = m=>{ const i = members.findIndex(o=>o.member === m); return i < 0 ? Infinity : i; };
+  const bags = [...goBags].sort((a,b)=>order(a.member) - order(b.member));
+  const stateBadge = {
+    expired: '<span class="badge red">期限切れ</span>',
+    near: '<span class="badge yellow">期限間近</span>',
+    ok: '<span class="badge green">OK</span>',
+    none: ''
+  };
+
+  $('#goBagList').innerHTML = bags.map(bag=>{
+    const owner = members.find(o=>o.member === bag.member);
+    const score = goBagScore(bag);
+    const rows = bag.items.map(it=>`
+      <tr class="${it.packed ? 'done' : ''}">
+        <td><input type="checkbox" data-gobag-packed="${escapeHtml(it.id)}" ${it.packed ? 'checked' : ''} aria-label="準備済み" /></td>
+        <td>${escapeHtml(it.name)}</td>
+        <td>${fmtNum(it.quantity)} ${escapeHtml(it.unit||'')}</td>
+        <td><input type="date" data-gobag-expiry="${escapeHtml(it.id)}" value="${escapeHtml(it.expiry)}" aria-label="期限" /> ${stateBadge[goBagExpiryState(it)]}</td>
+        <td class="row-actions"><button class="btn danger" data-gobag-del="${escapeHtml(it.id)}">削除</button></td>
+      </tr>`).join('');
+    return `<div class="card gobag" data-gobag="${escapeHtml(bag.member)}">
+      <div class="gobag-header">
+        <h3>🎒 ${owner ? escapeHtml(owner.label) : '（家族構成にいないメンバー）'}</h3>
+        <span class="gobag-score ${score >= 100 ? 'complete' : score >= 50 ? 'partial' : 'low'}">準備度 ${score}%</span>
+      </div>
+      <div class="table-wrap">
+        <table class="gobag-table">
+          <thead><tr><th>準備済み</th><th>品名</th><th>数量</th><th>期限</th><th>操作</th></tr></thead>
+          <tbody>${rows || '<tr><td colspan="5" class="empty-state">品目がありません</td></tr>'}</tbody>
+        </table>
+      </div>
+      <form class="filter-row gobag-add">
+        <input type="text" name="name" maxlength="200" placeholder="品目を追加（例: 生理用品、モバイルバッテリー）" />
+        <input type="number" name="quantity" min="0" step="0.01" value="1" class="narrow" aria-label="数量" />
+        <button type="submit" class="btn primary">追加</button>
+      </form>
+      <div class="right">
+        ${owner ? '<button class="btn" data-gobag-template>テンプレートの不足分を追加</button>' : '<button class="btn danger" data-gobag-remove>この袋を削除</button>'}
+      </div>
+    </div>`;
+  }).join('');
+
+  $$('#goBagList [data-gobag]').forEach(card=>{
+    const bag = goBags.find(b=>b.member === card.dataset.gobag);
+    const owner = members.find(o=>o.member === bag.member);
+    const save = ()=>{ saveJSON(LS_GOBAGS, goBags); renderGoBags(); };
+    const entry = id=>bag.items.find(it=>it.id === id);
+
+    card.querySelectorAll('[data-gobag-packed]').forEach(cb=>{
+      cb.addEventListener('change', ()=>{ entry(cb.dataset.gobagPacked).packed = cb.checked; save(); });
+    });
+    card.querySelectorAll('[data-gobag-expiry]').forEach(input=>{
+      input.addEventListener('change', ()=>{ entry(input.dataset.gobagExpiry).expiry = input.value; save(); });
+    });
+    card.querySelectorAll('[data-gobag-del]').forEach(b=>{
+      b.addEventListener('click', ()=>{
+        bag.items = bag.items.filter(it=>it.id !== b.dataset.gobagDel);
+        save();
+      });
+    });
+    card.querySelector('.gobag-add').addEventListener('submit', e=>{
+      e.preventDefault();
+      const name = e.target.elements.name.value.trim().substring(0, 200);
+      if(!name) return;
+      const quantity = Math.max(0, parseFloat(e.target.elements.quantity.value) || 0);
+      bag.items.push({ id: uid(), templateId: '', name, quantity, unit: '', packed: false, expiry: '' });
+      save();
+    });
+    card.querySelector('[data-gobag-template]')?.addEventListener('click', ()=>{
+      const first = members.findIndex(o=>o.type !== 'pets') === members.indexOf(owner);
+      const missing = goBagTemplateItems(owner, first).filter(t=>!bag.items.some(it=>it.templateId === t.templateId));
+      if(!missing.length){
+        alert('テンプレートの品目はすべて入っています。');
+        return;
+      }
+      bag.items.push(...missing);
+      save();
+    });
+    card.querySelector('[data-gobag-remove]')?.addEventListener('click', ()=>{
+      if(!confirm('この持ち出し袋を削除します。よろしいですか？')) return;
+      goBags = goBags.filter(b=>b !== bag);
+      save();
+    });
+  });
+}
+
+/* ===============================
+   Calculations
+
+   備蓄量・必要量・充足率の計算関数
+==================================*/
+
+/**
+ * 人の食料として数えるアイテムか（kcal値を持ち、ペットフードでないもの）
+ * ペットフードはペットフードの充足（g）で数えるため、人のカロリーには含めない
+ * @param {Object} it - アイテム
+ * @returns {boolean}
+ */
+function isHumanFood(it){
+  return it.kcal != null && it.category !== 'pet-food';
+}
+
+/**
+ * 現在の備蓄量の合計を計算
+ * - 水：カテゴリが'water'のアイテムの合計（石けん・消毒液など ml 単位の他カテゴリは含めない）
+ * - カロリー：kcal値を持つアイテム（ペットフードを除く）の合計（数量×単位カロリー）
+ * - 栄養素：栄養成分を入力したアイテム（ペットフードを除く）の合計（数量×1単位あたりのg）
+ * @returns {Object} {
+ *   waterL: 水の合計(L), kcal: カロリーの合計,
+ *   nutrients: 栄養素ごとの合計(g), nutrientKcal: 栄養成分を入力したアイテムのカロリー合計
+ * }
+ */
+function calcTotals(){
+  // 水の合計（リットル）。飲める水だけを数えるためカテゴリが水のものに限る
+  // 単位・内容量から換算（例：2Lペットボトル6本 → 単位=本・内容量=2L → 12L）
+  // 内容量のわからない水（単位が本などで内容量が未設定）は1単位＝1Lとみなし、waterUnsized に分ける
+  let waterL = 0;
+  const waterUnsized = [];
+  for(const it of items.filter(it=>it.category === 'water')){
+    const liters = itemLiters(it);
+    if(liters == null){
+      waterL += itemQuantity(it);
+      if(itemQuantity(it) > 0) waterUnsized.push(it);
+    }else{
+      waterL += liters;
+    }
+  }
+
+  // カロリーの合計（kcal）
+  const kcal = sum(items.filter(isHumanFood).map(i=> (Number(i.kcal)||0) * itemQuantity(i) ));
+
+  // 栄養素の合計（g）
+  const withNutrients = items.filter(i=>i.category !== 'pet-food' && Object.keys(i.nutrients).length);
+  const nutrients = {};
+  for(const { key } of NUTRIENTS){
+    nutrients[key] = sum(withNutrients.map(i=>(i.nutrients[key] || 0) * itemQuantity(i)));
+  }
+  const nutrientKcal = sum(withNutrients.map(i=>(Number(i.kcal)||0) * itemQuantity(i)));
+
+  // ペットフードの合計（g）。重さ（単位または内容量）がわからないものは数えない
+  const petFoods = items.filter(i=>i.category === 'pet-food');
+  const petFoodG = sum(petFoods.map(i=>itemGrams(i) ?? 0));
+  const petFoodUncounted = petFoods.filter(i=>itemGrams(i) == null && itemQuantity(i) > 0);
+
+  return { waterL, waterUnsized, kcal, nutrients, nutrientKcal, petFoodG, petFoodUncounted };
+}
+
+// 推定エネルギー必要量（kcal/日）と参照体重（kg）
+// 日本人の食事摂取基準（2020年版）の身体活動レベル「低い」（5歳以下は「ふつう」）
+// [年齢の上限（未満）, 男性kcal, 女性kcal, 男性体重, 女性体重]
+const ENERGY_TABLE = [
+  [1, 650, 600, 8.4, 7.8],
+  [3, 950, 900, 11.5, 11.0],
+  [6, 1300, 1250, 16.5, 16.1],
+  [8, 1350, 1250, 22.2, 21.9],
+  [10, 1600, 1500, 28.0, 27.4],
+  [12, 1950, 1850, 35.6, 36.3],
+  [15, 2300, 2150, 49.0, 47.5],
+  [18, 2500, 2050, 59.7, 51.9],
+  [30, 2300, 1700, 64.5, 50.3],
+  [50, 2300, 1750, 68.1, 53.0],
+  [65, 2200, 1650, 68.0, 53.8],
+  [75, 2050, 1550, 65.0, 52.1],
+  [Infinity, 1800, 1400, 59.6, 48.8]
+];
+
+// 水の基準量（L/日、飲用＋調理＋最低限の衛生）[年齢の上限（未満）, L]
+const WATER_TABLE = [[1, 1.0], [6, 1.5], [12, 2.0], [18, 3.0], [65, 4.0], [Infinity, 3.0]];
+
+// 妊娠・授乳による付加量（1日あたり）
+const PREGNANCY_EXTRA = {
+  none: { water: 0, kcal: 0 },
+  pregnant: { water: 0.3, kcal: 250 },   // 妊娠中期の付加量
+  lactating: { water: 0.7, kcal: 350 }
+};
+
+// 栄養素の1日の目標（g）。日本人の食事摂取基準（2020年版）
+// たんぱく質は推奨量、食物繊維は目標量（2歳以下は設定なし）、食塩相当量は目標量（上限）
+// [年齢の上限（未満）, たんぱく質 男性, 女性, 食物繊維 男性, 女性, 食塩 男性, 女性]
+const NUTRIENT_TABLE = [
+  [1, 15, 15, 0, 0, 0, 0],
+  [3, 20, 20, 0, 0, 3.0, 3.0],
+  [6, 25, 25, 8, 8, 3.5, 3.5],
+  [8, 30, 30, 10, 10, 4.5, 4.5],
+  [10, 40, 40, 11, 11, 5.0, 5.0],
+  [12, 45, 50, 13, 13, 6.0, 6.0],
+  [15, 60, 55, 17, 17, 7.0, 6.5],
+  [18, 65, 55, 19, 18, 7.5, 6.5],
+  [65, 65, 50, 21, 18, 7.5, 6.5],
+  [Infinity, 60, 50, 20, 17, 7.5, 6.5]
+];
+
+// 妊娠・授乳によるたんぱく質の付加量（g/日）
+const PREGNANCY_PROTEIN_EXTRA = { none: 0, pregnant: 5, lactating: 20 };
+
+// ペットの水（体重1kgあたり、体重未入力時の既定値）
+const PET_WATER = { dog: { perKg: 0.06, fallback: 1 }, cat: { perKg: 0.06, fallback: 0.3 } };
+
+// ペットフードの1日量の目安：安静時エネルギー要求量（70 × 体重^0.75 kcal）× 係数 ÷ ドライフードのカロリー
+// 係数は避妊・去勢済みの成犬1.6・成猫1.2、体重未入力時は犬10kg・猫4kgとして計算
+const PET_FOOD = { dog: { factor: 1.6, defaultKg: 10 }, cat: { factor: 1.2, defaultKg: 4 } };
+const DRY_FOOD_KCAL_PER_G = 3.5;
+
+/**
+ * メンバー1人（1匹）あたりの1日の必要量
+ *
+ * 人：年齢・性別の基準値 ×（体重 ÷ 参照体重、0.8〜1.3倍に制限）＋妊娠・授乳の付加量
+ * 性別未設定は男女の平均、体重未入力は基準値のまま
+ * ペット：体重 × 60ml（体重未入力は犬1L・猫0.3L）。カロリーは持たず、食事はフードの1日量（g）で管理
+ *         （foodGrams が未入力なら PET_FOOD の式で体重から算出）
+ * needRates で区分の基準値が設定されていれば、表の値の代わりにそのまま使う
+ * （自治体の「1人1日3L」などを表せるよう、体重による補正と妊娠・授乳の付加量は表の値にだけかける。ペットは1匹あたりの固定値）
+ *
+ * @param {Object} m - メンバー
+ * @returns {Object} { water: 水(L/日), kcal: カロリー(kcal/日), petFood: フード(g/日、人は0) }
+ */
+function memberNeeds(m){
+  const rate = needRates[memberRole(m)];
+  if(m.type !== 'person'){
+    const pet = PET_WATER[m.type];
+    const food = PET_FOOD[m.type];
+    const petFood = m.foodGrams ?? Math.round(70 * (m.weight || food.defaultKg) ** 0.75 * food.factor / DRY_FOOD_KCAL_PER_G);
+    if(rate.water != null) return { water: rate.water, kcal: 0, petFood };
+    return { water: m.weight ? Math.round(m.weight * pet.perKg * 100) / 100 : pet.fallback, kcal: 0, petFood };
+  }
+  const [, kcalM, kcalF, weightM, weightF] = ENERGY_TABLE.find(r=>m.age < r[0]);
+  const bySex = (male, female)=>m.sex === 'male' ? male : m.sex === 'female' ? female : (male + female) / 2;
+  const factor = m.weight ? Math.min(1.3, Math.max(0.8, m.weight / bySex(weightM, weightF))) : 1;
+  const extra = PREGNANCY_EXTRA[m.pregnancy] || PREGNANCY_EXTRA.none;
+  const water = rate.water ?? WATER_TABLE.find(r=>m.age < r[0])[1] * factor + extra.water;
+  const kcal = rate.kcal ?? bySex(kcalM, kcalF) * factor + extra.kcal;
+  return {
+    water: Math.round(water * 100) / 100,
+    kcal: Math.round(kcal),
+    petFood: 0
+  };
+}
+
+/**
+ * メンバー1人あたりの栄養素の1日の目標
+ *
+ * たんぱく質・食物繊維・食塩相当量：NUTRIENT_TABLE（性別未設定は男女の平均）
+ * 脂質・炭水化物：必要カロリーの25%・57.5%（目標量20〜30%・50〜65%の中央）をgに換算
+ * ペットは対象外（すべて0）
+ *
+ * @param {Object} m - メンバー
+ * @param {number} kcal - memberNeeds で求めた1日の必要カロリー
+ * @returns {Object} 栄養素ごとの目標(g/日)
+ */
+function memberNutrientTargets(m, kcal){
+  if(m.type !== 'person') return Object.fromEntries(NUTRIENTS.map(n=>[n.key, 0]));
+  const [, proteinM, proteinF, fiberM, fiberF, saltM, saltF] = NUTRIENT_TABLE.find(r=>m.age < r[0]);
+  const bySex = (male, female)=>m.sex === 'male' ? male : m.sex === 'female' ? female : (male + female) / 2;
+  return {
+    protein: bySex(proteinM, proteinF) + (PREGNANCY_PROTEIN_EXTRA[m.pregnancy] || 0),
+    fat: Math.round(kcal * 0.25 / 9 * 10) / 10,
+    carbs: Math.round(kcal * 0.575 / 4 * 10) / 10,
+    salt: bySex(saltM, saltF),
+    fiber: bySex(fiberM, fiberF)
+  };
+}
+
 /**
- * 現在の備蓄量の合計を計算
- * - 水：カテゴリが'water'または単位が'L'/'ℓ'のアイテムの合計
- * - カロリー：kcal値を持つアイテムの合計（数量×単位カロリー）
- * @returns {Object} { waterL: 水の合計(L), kcal: カロリーの合計 }
+ * 家族構成に基づく必要量を計算（メンバーごとの必要量 × 想定日数）
+ * @returns {Object} {
+ *   needWater: 必要水量(L), needKcal: 必要カロリー(kcal), needNutrients: 栄養素ごとの目標(g),
+ *   needPetFood: ペットフード(g),
+ *   perMember: [{ member, water, kcal, petFood, nutrients }]（1日あたり）
+ * }
  */
-function calcTotals(){
-  // 水の合計（リットル）
-  let waterL = 0;
-  for(const it of items){
-    const unit = (it.unit||'').toLowerCase();
-    if(it.category==='water' || unit==='l' || unit==='ℓ'){
-      // 単位がLの場合、数量はすでにリットル単位
-      // 例：2Lペットボトル6本 → 数量=12、単位=L
-      waterL += Number(it.quantity)||0;
-    }
+function calcNeeds(){
+  const d = family.days;
+  const perMember = family.members.map(m=>{
+    const needs = memberNeeds(m);
+    return { member: m, ...needs, nutrients: memberNutrientTargets(m, needs.kcal) };
+  });
+  const needNutrients = {};
+  for(const { key } of NUTRIENTS){
+    needNutrients[key] = sum(perMember.map(p=>p.nutrients[key])) * d;
   }
+  return {
+    needWater: sum(perMember.map(p=>p.water)) * d,
+    needKcal: sum(perMember.map(p=>p.kcal)) * d,
+    needNutrients,
+    needPetFood: sum(perMember.map(p=>p.petFood)) * d,
+    perMember
+  };
+}
 
-  // カロリーの合計（kcal）
-  const kcal = sum(items.filter(i=>i.kcal!=null).map(i=> (Number(i.kcal)||0) * (Number(i.quantity)||0) ));
-
-  return { waterL, kcal };
+/**
+ * メンバーが食べられるアイテムか（食事制限のアレルゲンを含まない）
+ * @param {Object} it - アイテム
+ * @param {Object} m - メンバー
+ * @returns {boolean} 食べられるなら true
+ */
+function isSafeFor(it, m){
+  return !it.allergens.some(a=>m.restrictions.includes(a));
 }
 
 /**
- * 家族構成に基づく必要量を計算
+ * 食料（カロリー）を家族メンバーに割り当て
  *
- * 水の必要量（1日あたり）：
- * - 成人: 4L/日
- * - 子ども: 2L/日
- * - 高齢者: 3L/日
- * - 犬: 1L/日
- * - 猫: 0.3L/日
+ * 食べられる食料の少ないメンバー（食事制限のある人）から順に、必要カロリー × 想定日数を割り当てる。
+ * 各メンバーは、食べられる人の少ないアイテムから使う（誰でも食べられる食料を後の人に残す）。
+ * 食事制限がなければ、割り当ての合計は min(在庫, 必要量) と同じ。
  *
- * カロリーの必要量（1日あたり）：
- * - 成人: 2000kcal/日
- * - 子ども: 1400kcal/日
- * - 高齢者: 1800kcal/日
- *
- * @returns {Object} { needWater: 必要水量(L), needKcal: 必要カロリー(kcal) }
+ * @param {Array} perMember - calcNeeds() の perMember
+ * @param {number} days - 想定日数
+ * @returns {Object} {
+ *   allocated: 割り当てたカロリーの合計,
+ *   members: [{ member, need, allocated, available }]（人のみ。available は割り当て前に食べられたカロリー）
+ * }
  */
-function calcNeeds(){
-  const d = family.days;
-  const waterPerDay =
-    family.adults*4 + family.children*2 + family.seniors*3
-    + family.dogs*1 + family.cats*0.3;
-  const kcalPerDay =
-    family.adults*2000 + family.children*1400 + family.seniors*1800;
-  return { needWater: waterPerDay * d, needKcal: kcalPerDay * d };
+function allocateFood(perMember, days){
+  const remaining = new Map(items.filter(isHumanFood).map(it=>[it, (Number(it.kcal)||0) * itemQuantity(it)]));
+  const people = perMember.filter(p=>p.member.type === 'person' && p.kcal > 0).map(p=>{
+    const safe = [...remaining.keys()].filter(it=>isSafeFor(it, p.member));
+    return { member: p.member, need: p.kcal * days, safe, available: sum(safe.map(it=>remaining.get(it))) };
+  });
+  const eaters = it=>people.filter(p=>p.safe.includes(it)).length;
+
+  for(const p of [...people].sort((a,b)=>a.available - b.available)){
+    let left = p.need;
+    for(const it of [...p.safe].sort((a,b)=>eaters(a) - eaters(b))){
+      if(left <= 0) break;
+      const take = Math.min(left, remaining.get(it));
+      remaining.set(it, remaining.get(it) - take);
+      left -= take;
+    }
+    p.allocated = p.need - left;
+  }
+  return {
+    allocated: sum(people.map(p=>p.allocated)),
+    members: people.map(({ member, need, allocated, available })=>({ member, need, allocated, available }))
+  };
 }
 
 /**
  * 備蓄の充足率を計算
  * @returns {Object} {
  *   waterCov: 水の充足率(%)、
- *   kcalCov: カロリーの充足率(%)、
+ *   kcalCov: カロリーの充足率(%、食事制限のあるメンバーは食べられる食料だけで計算)、
+ *   petFoodCov: ペットフードの充足率(%、g で比較)、
+ *   essentials: 生活必需品ごとの備蓄日数（essentialCoverage() の結果）、
+ *   food: allocateFood() の結果、
  *   totals: 現在の備蓄量、
  *   needs: 必要量
  * }
@@ -559,8 +4023,61 @@ function coverage(){
   const t = calcTotals();
   const n = calcNeeds();
   const waterCov = n.needWater ? Math.min(100, Math.round(t.waterL / n.needWater * 100)) : 0;
-  const kcalCov = n.needKcal ? Math.min(100, Math.round(t.kcal / n.needKcal * 100)) : 0;
-  return { waterCov, kcalCov, totals: t, needs: n };
+  const food = allocateFood(n.perMember, family.days);
+  const kcalCov = n.needKcal ? Math.min(100, Math.round(food.allocated / n.needKcal * 100)) : 0;
+  const petFoodCov = n.needPetFood ? Math.min(100, Math.round(t.petFoodG / n.needPetFood * 100)) : 0;
+  return { waterCov, kcalCov, petFoodCov, essentials: essentialCoverage(), food, nutrients: nutrientCoverage(t, n), totals: t, needs: n };
+}
+
+/**
+ * 栄養素ごとの充足率
+ *
+ * percent：在庫 ÷ 目標（上限を設けない。食塩相当量は上限の目安に対する割合）
+ * balance：栄養成分を入力した食品のカロリーあたりで見た充足率。
+ *          1未満なら「カロリーの割にその栄養素が少ない」（栄養成分が未入力の食品の影響を受けない）
+ *
+ * @param {Object} t - calcTotals() の結果
+ * @param {Object} n - calcNeeds() の結果
+ * @returns {Array} [{ key, label, limit, need, stock, percent, balance }]（目標のない栄養素は percent・balance が null）
+ */
+function nutrientCoverage(t, n){
+  const kcalRatio = n.needKcal && t.nutrientKcal ? t.nutrientKcal / n.needKcal : null;
+  return NUTRIENTS.map(({ key, label, limit })=>{
+    const need = n.needNutrients[key];
+    const stock = t.nutrients[key];
+    const ratio = need ? stock / need : null;
+    return {
+      key, label, limit: !!limit, need, stock,
+      percent: ratio != null ? Math.round(ratio * 100) : null,
+      balance: ratio != null && kcalRatio ? ratio / kcalRatio : null
+    };
+  });
+}
+
+// カロリーあたりの栄養素がこの割合（目標比）を下回ると不足として提案
+const NUTRIENT_BALANCE_WARN = 0.7;
+
+// 不足しがちな栄養素を補える備蓄食品
+const NUTRIENT_SUGGESTIONS = {
+  protein: 'ツナ缶・サバ缶・大豆の水煮・スキムミルクなどを追加しましょう。',
+  fat: 'ナッツ・オイル漬けの缶詰・ごまなどを追加しましょう。',
+  carbs: 'アルファ米・パックご飯・乾パン・乾麺などを追加しましょう。',
+  fiber: '野菜ジュース・乾燥野菜・ドライフルーツ・玄米などを追加しましょう。'
+};
+
+// 缶詰・レトルト1個あたりの想定カロリー（不足分の個数換算に使用）
+const KCAL_PER_CAN = 300;
+
+/**
+ * 充足率の不足分を購入単位に換算
+ * @param {Object} cov - coverage() の結果
+ * @returns {Object} { waterL: 不足水量(L), bottles: 2Lペットボトル本数, kcal: 不足カロリー, cans: 缶詰・レトルト個数 }
+ */
+function coverageShortfalls(cov){
+  const waterL = Math.max(0, Math.ceil(cov.needs.needWater - cov.totals.waterL));
+  const kcal = Math.max(0, Math.ceil(cov.needs.needKcal - cov.food.allocated));
+  const petFoodKg = Math.max(0, Math.ceil((cov.needs.needPetFood - cov.totals.petFoodG) / 100) / 10);
+  return { waterL, bottles: Math.ceil(waterL / 2), kcal, cans: Math.ceil(kcal / KCAL_PER_CAN), petFoodKg };
 }
 
 /* ===============================
@@ -587,16 +4104,23 @@ function renderTable(){
   let filtered = items.map((it, idx)=> ({...it, idx}));
   if(q){
     filtered = filtered.filter(it=>{
-      return [it.name, it.category, it.unit].filter(Boolean).some(s=>String(s).toLowerCase().includes(q));
+      return [it.name, it.category, it.unit, it.location, it.barcode].filter(Boolean).some(s=>String(s).toLowerCase().includes(q));
     });
   }
+  const place = $('#locationFilter').value;
+  if(place){
+    filtered = filtered.filter(it=>place === LOCATION_UNSET ? !it.location : it.location === place);
+  }
 
   filtered.sort((a,b)=>{
-    const da = a.expiry ? parseDate(a.expiry) : null;
-    const db = b.expiry ? parseDate(b.expiry) : null;
+    // ロットが複数ある場合は、もっとも期限の早いロットで比較
+    const ea = earliestLot(a)?.expiry || '';
+    const eb = earliestLot(b)?.expiry || '';
     if(sort==='expiryAsc'){
-      if(!da && !db) return 0; if(!da) return 1; if(!db) return -1; return da-db;
+      return compareExpiry(ea, eb);
     }else if(sort==='expiryDesc'){
+      const da = parseDate(ea);
+      const db = parseDate(eb);
       if(!da && !db) return 0; if(!da) return 1; if(!db) return -1; return db-da;
     }else if(sort==='nameAsc'){
       return a.name.localeCompare(b.name);
@@ -636,10 +4160,13 @@ function renderTable(){
   for(const it of paginatedItems){
     const tr = document.createElement('tr');
 
-    // status badge (4 states: expired, today, warning, ok)
+    // status badge (4 states: expired, today, warning, ok) of the earliest-expiring lot
+    const lot = earliestLot(it);
+    const expiry = lot?.expiry || '';
+    const quantity = itemQuantity(it);
     let badge = '<span class="badge">—</span>';
-    if(it.expiry){
-      const d = parseDate(it.expiry);
+    if(expiry){
+      const d = parseDate(expiry);
       if(d){
         if(d < today) badge = '<span class="badge red">期限切れ</span>';
         else if(d < tomorrow) badge = '<span class="badge orange">本日期限</span>';
@@ -647,24 +4174,47 @@ function renderTable(){
         else badge = '<span class="badge green">OK</span>';
       }
     }
+    // Low stock is shown alongside the expiry status
+    if(isBelowMinimum(it)){
+      badge += ` <span class="badge low" title="最低在庫 ${fmtNum(it.minQuantity)} ${escapeHtml(it.unit||'')}">在庫不足</span>`;
+    }
 
-    const kcalText = it.kcal!=null ? `${(it.kcal*it.quantity).toLocaleString()} kcal` : '—';
+    const kcalText = it.kcal!=null ? `${(it.kcal*quantity).toLocaleString()} kcal` : '—';
+
+    // Other lots are listed in the tooltip of the lot counter
+    const lots = activeLots(it);
+    const lotInfo = lots.length > 1
+      ? ` <span class="lot-count" title="${escapeHtml(lots.map(l=>`${l.expiry || '期限なし'} × ${fmtNum(l.quantity)}`).join('\n'))}">他${lots.length-1}ロット</span>`
+      : '';
 
     // Category badge with color
     const categoryLabel = labelForCategory(it.category);
-    const validCategories = ['food', 'water', 'medicine', 'pet-food', 'daily', 'tool', 'other'];
-    const safeCategory = validCategories.includes(it.category) ? it.category : 'other';
+    const safeCategory = CATEGORIES.includes(it.category) ? it.category : 'other';
     const categoryBadge = `<span class="category-badge ${safeCategory}">${escapeHtml(categoryLabel)}</span>`;
 
+    const locationInfo = it.location ? `<div class="item-location">📍 ${escapeHtml(it.location)}</div>` : '';
+    const allergenInfo = it.allergens.length ? `<div class="item-allergens">⚠ ${escapeHtml(allergenLabels(it.allergens))}</div>` : '';
+    const measure = it.packageSize ? formatMeasure(itemMeasure(it)) : '';
+    const measureInfo = measure ? `<div class="item-location" title="内容量 ${escapeHtml(formatPackageSize(it.packageSize))}">計 ${escapeHtml(measure)}</div>` : '';
+    const essential = ESSENTIALS.find(e=>e.key === it.essential);
+    const essentialInfo = !essential ? ''
+      : essentialFactor(it) == null
+        ? `<div class="item-location">🧻 ${escapeHtml(essential.label)}：単位を${essential.unit}に換算できないため数えていません</div>`
+        : `<div class="item-location">🧻 ${escapeHtml(essential.label)}として計算${essentialFactor(it) !== 1 ? `（1${escapeHtml(it.unit)}＝${fmtNum(essentialFactor(it))}${essential.unit}）` : ''}</div>`;
+    const dosageInfo = it.dosage ? `<div class="item-location">💊 ${escapeHtml(dosageLabel(it))}</div>` : '';
+
     tr.innerHTML = `
-      <td>${escapeHtml(it.name)}</td>
+      <td>${escapeHtml(it.name)}${locationInfo}${allergenInfo}${dosageInfo}${essentialInfo}</td>
       <td>${categoryBadge}</td>
-      <td>${fmtNum(it.quantity)}</td>
+      <td>${fmtNum(quantity)}${measureInfo}</td>
       <td>${escapeHtml(it.unit||'')}</td>
-      <td>${it.expiry ? escapeHtml(it.expiry) : '—'}</td>
+      <td>${expiry ? escapeHtml(expiry) : '—'}${lotInfo}</td>
       <td>${kcalText}</td>
       <td>${badge}</td>
-      <td>
+      <td class="row-actions">
+        <button class="btn" data-consume="${it.idx}" ${quantity > 0 ? '' : 'disabled'}>消費</button>
+        <button class="btn" data-restock="${it.idx}">補充</button>
+        <button class="btn" data-history="${it.idx}">履歴</button>
         <button class="btn" data-edit="${it.idx}">編集</button>
         <button class="btn danger" data-del="${it.idx}">削除</button>
       </td>
@@ -688,11 +4238,21 @@ function renderTable(){
     b.addEventListener('click', ()=>{
       const i = parseInt(b.dataset.del,10);
       if(!confirm(`「${items[i].name}」を削除します。よろしいですか？`)) return;
-      items.splice(i,1);
-      saveJSON(LS_ITEMS, items);
+      const [removed] = items.splice(i,1);
+      ledger = ledger.filter(m=>m.itemId !== removed.id);
+      saveStock();
       renderAll();
     });
   });
+  tbody.querySelectorAll('[data-consume]').forEach(b=>{
+    b.addEventListener('click', ()=>openMoveModal('consume', items[parseInt(b.dataset.consume,10)]));
+  });
+  tbody.querySelectorAll('[data-restock]').forEach(b=>{
+    b.addEventListener('click', ()=>openMoveModal('restock', items[parseInt(b.dataset.restock,10)]));
+  });
+  tbody.querySelectorAll('[data-history]').forEach(b=>{
+    b.addEventListener('click', ()=>openHistory(items[parseInt(b.dataset.history,10)]));
+  });
 
   // summary
   const { waterL, kcal } = calcTotals();
@@ -744,34 +4304,782 @@ function updatePagination(totalPages){
   });
 }
 
-function checkTableScroll(){
-  const tableWrap = $('.table-wrap');
-  const table = tableWrap?.querySelector('table');
-  if(tableWrap && table){
-    if(table.offsetWidth > tableWrap.offsetWidth){
-      tableWrap.classList.add('has-scroll');
-    }else{
-      tableWrap.classList.remove('has-scroll');
-    }
+function checkTableScroll(){
+  const tableWrap = $('.table-wrap');
+  const table = tableWrap?.querySelector('table');
+  if(tableWrap && table){
+    if(table.offsetWidth > tableWrap.offsetWidth){
+      tableWrap.classList.add('has-scroll');
+    }else{
+      tableWrap.classList.remove('has-scroll');
+    }
+  }
+}
+
+function labelForCategory(c){
+  const map = {
+    'food':'食料', 'water':'水', 'medicine':'医薬品', 'pet-food':'ペットフード',
+    'daily':'生活用品', 'tool':'ツール', 'other':'その他'
+  };
+  return map[c] || c;
+}
+function escapeHtml(s){
+  return String(s).replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
+}
+function fmtNum(n){
+  const v = Number(n);
+  if(Number.isNaN(v)) return '—';
+  return (Math.round(v*100)/100).toLocaleString();
+}
+
+/* ===============================
+   Forecast
+
+   入出庫履歴の消費記録から1日あたりの消費量を推定し、
+   在庫切れ予測日と「期限内に消費しきれないロット」を算出
+==================================*/
+const FORECAST_WINDOW_DAYS = 90;   // 消費ペースの算出に使う直近日数
+const FORECAST_MIN_SPAN_DAYS = 7;  // 記録期間が短い場合の最小日数（推定値の暴れを抑える）
+const FORECAST_RUNOUT_WARN_DAYS = 30; // この日数以内に在庫切れ見込みなら補充を提案
+
+/**
+ * アイテムの1日あたり平均消費量を推定
+ * - 直近 FORECAST_WINDOW_DAYS 日の消費記録の合計 ÷ 記録期間の日数
+ * - 記録期間は最初の履歴（登録日）から今日まで、最短 FORECAST_MIN_SPAN_DAYS 日
+ * @param {Object} it - アイテム
+ * @param {Date} today - 今日（0時）
+ * @returns {number|null} 1日あたり消費量（消費記録がなければnull）
+ */
+function consumptionRate(it, today){
+  const windowStart = new Date(today);
+  windowStart.setDate(windowStart.getDate() - FORECAST_WINDOW_DAYS);
+  const history = itemHistory(it);
+  const consumed = history.filter(m=>{
+    const d = parseDate(m.date);
+    return m.type === 'consume' && d && d >= windowStart && d <= today;
+  });
+  if(!consumed.length) return null;
+
+  const first = parseDate(history[0].date);
+  const start = first && first > windowStart ? first : windowStart;
+  const span = Math.max(FORECAST_MIN_SPAN_DAYS, daysDiff(start, today) + 1);
+  return -sum(consumed.map(m=>m.quantity)) / span;
+}
+
+/**
+ * アイテムの消費予測
+ * 期限の早いロットから現在のペースで消費すると仮定し、
+ * 各ロットを使い切る時点と期限を比較する（期限が先に来るロットは残りが廃棄）
+ * @param {Object} it - アイテム
+ * @param {Date} today - 今日（0時）
+ * @returns {Object|null} { item, rate, daysLeft, runOut, atRisk: [{ lot, waste }] }（消費記録がなければnull）
+ */
+function forecastItem(it, today){
+  const rate = consumptionRate(it, today);
+  if(!rate) return null;
+
+  let t = 0; // 今日から何日目まで消費が進んだか
+  const atRisk = [];
+  for(const lot of activeLots(it)){
+    const exp = parseDate(lot.expiry);
+    const lifeDays = exp ? daysDiff(today, exp) + 1 : Infinity; // 期限日当日まで消費可能
+    if(lifeDays <= 0) continue; // 期限切れロットは期限アラート側で扱う
+    const usable = Math.max(0, Math.min(lot.quantity, (lifeDays - t) * rate));
+    t += usable / rate;
+    const waste = lot.quantity - usable;
+    if(waste > 0.005) atRisk.push({ lot, waste });
+  }
+
+  const daysLeft = Math.floor(t);
+  const runOut = new Date(today);
+  runOut.setDate(runOut.getDate() + daysLeft);
+  return { item: it, rate, daysLeft, runOut, atRisk };
+}
+
+/**
+ * 消費記録のあるすべてのアイテムの予測（在庫切れの早い順）
+ * @returns {Array} 予測配列
+ */
+function buildForecasts(){
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return items.map(it=>forecastItem(it, today)).filter(Boolean)
+    .sort((a,b)=>a.daysLeft - b.daysLeft);
+}
+
+/* ===============================
+   Medicine
+
+   常用薬（持病の処方薬など）の残り日数
+   医薬品に服用する人・1日の服用回数・1単位あたりの回数（dosage）を登録し、
+   期限内に飲める分が想定日数（family.days）に足りるかを判定
+==================================*/
+
+/**
+ * 服用量の表示（例：「花子・1日3回（1箱28回分）」）
+ * @param {Object} it - dosage のある医薬品アイテム
+ * @returns {string} 表示文字列
+ */
+function dosageLabel(it){
+  const member = family.members.find(m=>m.id === it.dosage.memberId);
+  const perUnit = it.dosage.perUnit !== 1 ? `（1${it.unit || '単位'}${fmtNum(it.dosage.perUnit)}回分）` : '';
+  return `${member ? member.name : '服用者未設定'}・1日${fmtNum(it.dosage.perDay)}回${perUnit}`;
+}
+
+/**
+ * 常用薬の残り日数
+ * 期限の早いロットから飲むと仮定し、期限日までに飲みきれない分は数えない（forecastItem と同じ考え方）
+ * @param {Object} it - dosage のある医薬品アイテム
+ * @param {Date} today - 今日（0時）
+ * @returns {Object} { item, member, daysLeft, short, reorder, expired: [lot], atRisk: [{ lot, waste }] }
+ */
+function medicineSupplyItem(it, today){
+  const rate = it.dosage.perDay / it.dosage.perUnit; // 1日あたりの消費量（単位）
+  let t = 0; // 今日から何日分を飲めるか
+  const expired = [];
+  const atRisk = [];
+  for(const lot of activeLots(it)){
+    const exp = parseDate(lot.expiry);
+    const lifeDays = exp ? daysDiff(today, exp) + 1 : Infinity; // 期限日当日まで服用可能
+    if(lifeDays <= 0){
+      expired.push(lot);
+      continue;
+    }
+    const usable = Math.max(0, Math.min(lot.quantity, (lifeDays - t) * rate));
+    t += usable / rate;
+    const waste = lot.quantity - usable;
+    if(waste > 0.005) atRisk.push({ lot, waste });
+  }
+  const daysLeft = Math.floor(t + 1e-9);
+  return {
+    item: it,
+    member: family.members.find(m=>m.id === it.dosage.memberId) || null,
+    daysLeft,
+    short: daysLeft < family.days,
+    reorder: daysLeft < family.days ? Math.ceil((family.days - t) * rate - 1e-9) : 0, // 想定日数まで足りない数量
+    expired,
+    atRisk
+  };
+}
+
+/**
+ * 服用量を登録したすべての医薬品の残り日数（残りの少ない順）
+ * @returns {Array} medicineSupplyItem の結果の配列
+ */
+function buildMedicineSupply(){
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return items.filter(it=>it.dosage).map(it=>medicineSupplyItem(it, today))
+    .sort((a,b)=>a.daysLeft - b.daysLeft);
+}
+
+/* ===============================
+   Pets
+
+   ペットの備蓄
+   - フードはペットごとの1日量（g）× 想定日数と、ペットフードの在庫（g・kg）を比較
+   - 基礎知識タブの「ペット同行避難の準備」の品目を在庫と照合
+==================================*/
+
+/**
+ * 品名にいずれかの語を含むアイテムに一致する判定関数
+ * @param {...string} words - 品名に含む語
+ * @returns {Function} (it) => boolean
+ */
+function nameIncludes(...words){
+  return it=>words.some(w=>it.name.includes(w));
+}
+
+// ペット同行避難の準備（types は対象の種類、省略時は犬・猫とも）
+// check：在庫から準備状況を判定（フード・水は充足率、それ以外は match に一致する在庫の有無）
+const PET_PREP_ITEMS = [
+  { id: 'food', name: 'フード（想定日数分）', category: 'pet-food', unit: 'kg', check: cov=>cov.petFoodCov >= 100 },
+  { id: 'water', name: '水（家族の水に含めて計算）', category: 'water', unit: 'L', check: cov=>cov.waterCov >= 100 },
+  { id: 'bowl', name: '食器（折りたたみ式）', category: 'daily', unit: '個', match: nameIncludes('食器', 'ボウル', 'フードボウル') },
+  { id: 'litter', name: 'ペットシーツ・うんち袋', category: 'daily', unit: '袋', match: nameIncludes('ペットシーツ', 'トイレシート', 'ペットシート', 'うんち袋'), types: ['dog'] },
+  { id: 'cat-litter', name: '猫砂・猫用トイレ', category: 'daily', unit: '袋', match: nameIncludes('猫砂', '猫用トイレ'), types: ['cat'] },
+  { id: 'leash', name: 'リード・首輪（予備も）', category: 'tool', unit: '本', match: nameIncludes('リード', '首輪'), types: ['dog'] },
+  { id: 'carrier', name: 'キャリーバッグ・ケージ', category: 'tool', unit: '個', match: nameIncludes('キャリー', 'ケージ', 'クレート') },
+  { id: 'meds', name: '常備薬・療法食', category: 'medicine', unit: '式',
+    match: it=>it.name.includes('療法食') || (it.category === 'medicine' && it.name.includes('ペット'))
+      || family.members.some(m=>m.type !== 'person' && m.id === it.dosage?.memberId) },
+  { id: 'records', name: 'ペット手帳（ワクチン証明・既往歴）・写真', category: 'other', unit: '式', match: nameIncludes('ペット手帳', 'ワクチン', '写真') }
+];
+
+/**
+ * ペット同行避難の準備状況（家族にいる種類の品目のみ）
+ * @param {Object} cov - coverage() の結果
+ * @returns {Array} [{ entry, ready, matches }]（matches は一致した在庫のアイテム）
+ */
+function petPrepStatus(cov){
+  const types = new Set(family.members.filter(m=>m.type !== 'person').map(m=>m.type));
+  return PET_PREP_ITEMS.filter(e=>!e.types || e.types.some(t=>types.has(t))).map(entry=>{
+    const matches = entry.match ? items.filter(it=>itemQuantity(it) > 0 && entry.match(it)) : [];
+    return { entry, ready: entry.check ? entry.check(cov) : matches.length > 0, matches };
+  });
+}
+
+/**
+ * ペットの備蓄カード（フードの充足状況・同行避難の準備）を描画。ペットがいなければ隠す
+ * @param {Object} cov - coverage() の結果
+ */
+function renderPets(cov){
+  const hasPets = family.members.some(m=>m.type !== 'person');
+  $('#petCards').hidden = !hasPets;
+  if(!hasPets) return;
+
+  const uncounted = cov.totals.petFoodUncounted;
+  $('#petNote').textContent = `1日 ${fmtNum(cov.needs.needPetFood / family.days)} g × ${family.days}日`
+    + (uncounted.length ? `（内容量が未設定の ${uncounted.map(it=>it.name).join('、')} は含まれません）` : '');
+
+  const ul = $('#petPrepList');
+  ul.innerHTML = petPrepStatus(cov).map(({ entry, ready, matches })=>{
+    const detail = entry.id === 'food' ? `充足率 ${cov.petFoodCov}%`
+      : entry.id === 'water' ? `充足率 ${cov.waterCov}%`
+      : matches.map(it=>`${it.name} × ${fmtNum(itemQuantity(it))}${it.unit}`).join('、');
+    const add = ready ? '' : ` <button class="btn-small" data-pet-prep="${entry.id}">在庫に追加</button>`;
+    return `<li>${ready ? '✅' : '⬜'} ${escapeHtml(entry.name)}${detail ? `<small>（${escapeHtml(detail)}）</small>` : ''}${add}</li>`;
+  }).join('');
+  ul.querySelectorAll('[data-pet-prep]').forEach(b=>{
+    b.addEventListener('click', ()=>{
+      const entry = PET_PREP_ITEMS.find(e=>e.id === b.dataset.petPrep);
+      openModal('add');
+      $('#name').value = entry.id === 'food' ? 'ペットフード' : entry.name.replace(/（.*?）/g, '');
+      $('#category').value = entry.category;
+      $('#unit').value = entry.unit;
+      updateItemFormFields();
+    });
+  });
+}
+
+/* ===============================
+   Essentials
+
+   生活必需品（簡易トイレ・トイレットペーパー・カセットボンベ・乾電池・生理用品）
+   アイテムの essential で品目に紐づけ、1日あたりの必要量から備蓄日数を算出
+==================================*/
+
+/**
+ * 生活必需品の基準の入力欄を描画（空欄は既定値）
+ */
+function renderEssentialForm(){
+  $('#essentialTable tbody').innerHTML = ESSENTIALS.map(e=>`<tr>
+      <td>${e.label}<br><small>${ESSENTIAL_BASIS_LABELS[e.basis]}${e.maxDays ? `（最大${e.maxDays}日分）` : ''}</small></td>
+      <td><input type="number" min="0" max="100" step="0.01" placeholder="${e.perDay}" data-essential-rate="${e.key}" value="${essentials[e.key].perDay ?? ''}" /> ${e.unit}</td>
+      <td><input type="checkbox" data-essential-enabled="${e.key}" ${essentials[e.key].enabled ? 'checked' : ''} aria-label="${e.label}を計算する" /></td>
+    </tr>`).join('');
+}
+
+/**
+ * アイテム1単位が生活必需品の何回分・何枚分にあたるか
+ * essentialPerUnit があればその数、なければ単位が品目の単位（ESSENTIALS の units）なら1
+ * @param {Object} it - アイテム
+ * @returns {number|null} 1単位あたりの数（紐づけがない・単位を換算できなければ null）
+ */
+function essentialFactor(it){
+  const e = ESSENTIALS.find(e=>e.key === it.essential);
+  if(!e) return null;
+  if(it.essentialPerUnit != null) return it.essentialPerUnit;
+  return e.units.includes(String(it.unit || '').normalize('NFKC').trim()) ? 1 : null;
+}
+
+/**
+ * 生活必需品ごとの必要量と備蓄日数
+ *
+ * 1日の必要量 = 1日量 × 人数（basis で数える）
+ * 必要量 = 1日の必要量 × 想定日数（maxDays があればその日数まで）
+ * 備蓄日数 = 紐づけたアイテムの在庫（essentialFactor で品目の単位に換算）÷ 1日の必要量
+ * 単位を換算できないアイテムは数えずに uncounted に分ける
+ *
+ * @returns {Array} [{ key, label, category, unit, perDay, stock, need, target, days, items, uncounted }]
+ *   （使用しない品目は含まない。必要な人がいない品目は perDay 0・days null）
+ */
+function essentialCoverage(){
+  const people = family.members.filter(m=>m.type === 'person');
+  const counts = {
+    person: people.length,
+    household: people.length ? 1 : 0,
+    menstruating: people.filter(m=>m.sex === 'female' && m.age >= 10 && m.age <= 55).length
+  };
+  return ESSENTIALS.filter(e=>essentials[e.key].enabled).map(e=>{
+    const perDay = (essentials[e.key].perDay ?? e.perDay) * counts[e.basis];
+    const linked = items.filter(it=>it.essential === e.key);
+    const stock = sum(linked.map(it=>itemQuantity(it) * (essentialFactor(it) ?? 0)));
+    const target = e.maxDays ? Math.min(family.days, e.maxDays) : family.days;
+    return {
+      key: e.key, label: e.label, category: e.category, unit: e.unit,
+      perDay, stock,
+      need: perDay * target,
+      target,
+      days: perDay ? Math.floor(stock / perDay) : null,
+      items: linked,
+      uncounted: linked.filter(it=>essentialFactor(it) == null && itemQuantity(it) > 0)
+    };
+  });
+}
+
+/* ===============================
+   Rolling Stock
+
+   期限の近い食料・水を、家族が日常の食事で無理なく消費できる量（1日の上限）に分けて
+   今日からの週ごとのカレンダーに割り振る。「食べた」で消費を記録し、同じ量を買い物リストに追加する
+==================================*/
+
+const ROLLING_SOON_DAYS = 14;      // この日数以内に期限が来るものを消費推奨として一覧に表示
+const ROLLING_MEAL_SHARE = 1 / 3;  // 日常の食事のうち備蓄品でまかなう割合（1日3食のうち1食）
+const ROLLING_WATER_SHARE = 0.5;   // 1日の必要水量のうち備蓄の水を飲む割合
+
+/**
+ * ローリングストックの消費カレンダーを作成
+ *
+ * 1日に消費できる量の上限：食料は家族の必要カロリー × ROLLING_MEAL_SHARE、水は必要水量 × ROLLING_WATER_SHARE
+ * 期限の早いロットから、上限に空きのある最初の日に割り振る（カロリー不明の食品は1単位 KCAL_PER_CAN kcal として数える）。
+ * 期限日までに空きがなければ期限日に割り振り、over（期限までに食べきれない見込み）とする
+ *
+ * @param {Array} entries - 期限の近いロット [{ item, lot }]（食料・水以外は無視する）
+ * @param {Date} today - 今日（0時）
+ * @returns {Object} { slots: [{ day, date, item, lot, quantity, over }], weeks: 週数, capacity: { kcal, water } }
+ */
+function buildRollingPlan(entries, today){
+  const perMember = calcNeeds().perMember;
+  const capacity = {
+    kcal: sum(perMember.map(p=>p.kcal)) * ROLLING_MEAL_SHARE,
+    water: sum(perMember.map(p=>p.water)) * ROLLING_WATER_SHARE
+  };
+  const used = [];
+  const slots = [];
+  const targets = entries.filter(({ item: it })=>it.category === 'food' || it.category === 'water')
+    .sort((a,b)=>compareExpiry(a.lot.expiry, b.lot.expiry));
+  for(const { item: it, lot } of targets){
+    const kind = it.category === 'water' ? 'water' : 'kcal';
+    const perUnit = kind === 'water'
+      ? (itemLiters(it) ?? itemQuantity(it)) / itemQuantity(it) || 1
+      : Number(it.kcal) || KCAL_PER_CAN;
+    const lastDay = Math.max(0, daysDiff(today, parseDate(lot.expiry)));
+    let left = lot.quantity;
+    let day = 0;
+    while(left > 1e-9){
+      while(day <= lastDay && (used[day]?.[kind] ?? 0) >= capacity[kind] - 1e-9) day++;
+      if(day > lastDay){
+        slots.push({ day: lastDay, item: it, lot, quantity: left, over: true });
+        break;
+      }
+      const fits = Math.floor((capacity[kind] - (used[day]?.[kind] ?? 0)) / perUnit + 1e-9);
+      if(fits < 1 && used[day]?.[kind]){ // 1単位も入らない日は次の日へ（空いている日は上限を超えても1単位は割り振る）
+        day++;
+        continue;
+      }
+      const take = Math.min(left, Math.max(1, fits));
+      used[day] = used[day] || { kcal: 0, water: 0 };
+      used[day][kind] += take * perUnit;
+      slots.push({ day, item: it, lot, quantity: take, over: false });
+      left -= take;
+    }
+  }
+  for(const s of slots){
+    s.date = new Date(today);
+    s.date.setDate(s.date.getDate() + s.day);
+  }
+  const lastSlot = Math.max(-1, ...slots.map(s=>s.day));
+  return { slots, weeks: Math.ceil((lastSlot + 1) / 7), capacity };
+}
+
+/**
+ * ローリングストックの消費カレンダーを描画（アラートタブ）
+ * @param {Array} entries - 期限の近いロット [{ item, lot }]
+ * @param {Date} today - 今日（0時）
+ */
+function renderRollingCalendar(entries, today){
+  const box = $('#rollingCalendar');
+  if(!family.members.some(m=>m.type === 'person')){
+    $('#rollingCapacity').textContent = '';
+    box.innerHTML = '<p class="chart-note">家族構成タブで人を登録すると、1日に食べられる量に合わせて割り振ります</p>';
+    return;
+  }
+  const plan = buildRollingPlan(entries, today);
+  $('#rollingCapacity').textContent = `1日の目安：食料 ${fmtNum(Math.round(plan.capacity.kcal))} kcal・水 ${fmtNum(Math.round(plan.capacity.water * 10) / 10)} L まで`;
+  if(!plan.slots.length){
+    box.innerHTML = '<p class="chart-note">期限の近い食料・水はありません</p>';
+    return;
+  }
+  const weekday = ['日', '月', '火', '水', '木', '金', '土'];
+  box.innerHTML = Array.from({ length: plan.weeks }, (_, w)=>{
+    const cells = Array.from({ length: 7 }, (_, i)=>{
+      const day = w * 7 + i;
+      const date = new Date(today);
+      date.setDate(date.getDate() + day);
+      const slots = plan.slots.filter(s=>s.day === day).map(s=>`<li class="${s.over ? 'over' : ''}">
+          ${escapeHtml(s.item.name)} ×${fmtNum(s.quantity)}${escapeHtml(s.item.unit || '')}
+          ${s.over ? '<div class="forecast-risk">⚠️ 期限までに食べきれない見込み</div>' : ''}
+          <button class="btn-small" data-rolling-item="${escapeHtml(s.item.id)}" data-rolling-lot="${escapeHtml(s.lot.id)}" data-rolling-quantity="${s.quantity}">${s.item.category === 'water' ? '飲んだ' : '食べた'}</button>
+        </li>`).join('');
+      return `<div class="rolling-day${day === 0 ? ' today' : ''}">
+        <div class="rolling-date">${date.getMonth() + 1}/${date.getDate()}（${weekday[date.getDay()]}）</div>
+        ${slots ? `<ul>${slots}</ul>` : ''}
+      </div>`;
+    }).join('');
+    return `<div class="rolling-week"><h4>${w + 1}週目</h4><div class="rolling-days">${cells}</div></div>`;
+  }).join('');
+
+  $$('#rollingCalendar [data-rolling-item]').forEach(btn=>{
+    btn.addEventListener('click', ()=>{
+      eatRollingSlot(findItem(btn.dataset.rollingItem), btn.dataset.rollingLot, Number(btn.dataset.rollingQuantity));
+    });
+  });
+}
+
+/**
+ * カレンダーの予定を食べた（飲んだ）として記録し、同じ量を買い物リストに補充として追加
+ * @param {Object} it - アイテム
+ * @param {string} lotId - 予定のロット
+ * @param {number} quantity - 予定の数量
+ */
+function eatRollingSlot(it, lotId, quantity){
+  if(!it) return;
+  if(!confirm(`${it.name} ×${fmtNum(quantity)}${it.unit || ''} を消費として記録し、同じ量を買い物リストに追加します。よろしいですか？`)) return;
+  const consumed = consumeItem(it, quantity, formatDate(new Date()), 'ローリングストック消費', lotId);
+  if(consumed > 0) addRollingReplacement(it, consumed);
+  saveStock();
+  renderAll();
+}
+
+/* ===============================
+   Meal Plan
+
+   在庫から想定日数分の献立を1日ずつ作成
+   期限の早いロットから使い、調理に水・ガスが必要な食品はその分を差し引く
+==================================*/
+
+// 調理に水・ガスが必要な食品（品名のキーワードで判定、先に一致したものを使う）
+// water：1単位（1食分）あたりの調理用の水(ml)、gas：加熱にカセットボンベを使うか
+const COOKING_RULES = [
+  { keywords: ['アルファ米', 'アルファ化米'], water: 160, gas: false, label: '水で戻す' },
+  { keywords: ['カップ麺', 'カップラーメン', 'カップうどん', 'カップそば', 'カップヌードル'], water: 300, gas: true, label: 'お湯を注ぐ' },
+  { keywords: ['袋麺', 'インスタントラーメン', '乾麺', 'パスタ', 'スパゲッティ', 'そうめん'], water: 500, gas: true, label: 'ゆでる' },
+  { keywords: ['フリーズドライ', 'みそ汁', '味噌汁', 'スープの素'], water: 160, gas: true, label: 'お湯で溶く' }
+];
+
+// カセットボンベ1本で湯を沸かせる回数の目安（250g缶・500mlを沸かす場合）
+const GAS_USES_PER_CARTRIDGE = 20;
+
+/**
+ * 食品の調理方法（COOKING_RULES）
+ * @param {Object} it - アイテム
+ * @returns {Object|null} 調理ルール（そのまま食べられる食品は null）
+ */
+function cookingRule(it){
+  return COOKING_RULES.find(r=>r.keywords.some(w=>it.name.includes(w))) || null;
+}
+
+/**
+ * 想定日数分の献立を作成
+ *
+ * 1日ごとに、まず飲み水（家族全員の1日の必要量）を確保し、人ごとに必要カロリーを満たすまで食料を割り当てる。
+ * - 食料は期限の早いロットから使い、その日に期限切れのロットは使わない
+ * - 食事制限のある人（食べられる食料の少ない人）から割り当て、アレルゲンを含む食品は使わない
+ * - 調理に水を使う食品は残りの水から、加熱する食品はカセットボンベ（essential が gas のアイテム）から差し引き、
+ *   足りなければその食品を使わない
+ *
+ * @returns {Object} {
+ *   days: [{ day, date, dishes: [{ item, quantity, kcal, cooking }], members: [{ member, need, eaten }],
+ *            drinkL, cookL, gasUses, waterShort, short: [member], blocked: { water, gas } }],
+ *   firstShortDay: 献立を満たせない最初の日（何日目、すべて満たせれば null）,
+ *   waterLeft: 最終日の残りの水(L), gasLeft: 残りのカセットボンベ(本)
+ * }
+ */
+function buildMealPlan(){
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const n = calcNeeds();
+  const drinkPerDay = sum(n.perMember.map(p=>p.water));
+  let water = calcTotals().waterL;
+  let gas = sum(items.filter(it=>it.essential === 'gas').map(it=>itemQuantity(it) * (essentialFactor(it) ?? 0))) * GAS_USES_PER_CARTRIDGE; // 残りの加熱回数
+
+  const pool = items.filter(it=>isHumanFood(it) && Number(it.kcal) > 0)
+    .flatMap(it=>activeLots(it).map(lot=>({ item: it, lot, left: lot.quantity, cooking: cookingRule(it) })))
+    .sort((a,b)=>compareExpiry(a.lot.expiry, b.lot.expiry));
+  const people = n.perMember.filter(p=>p.member.type === 'person' && p.kcal > 0)
+    .map(p=>({ ...p, safe: pool.filter(e=>isSafeFor(e.item, p.member)).length }))
+    .sort((a,b)=>a.safe - b.safe);
+
+  const days = [];
+  for(let d = 0; d < family.days; d++){
+    const date = new Date(today);
+    date.setDate(date.getDate() + d);
+    const waterShort = water < drinkPerDay - 1e-9;
+    water = Math.max(0, water - drinkPerDay);
+
+    const dishes = new Map();
+    const blocked = { water: false, gas: false };
+    let cookL = 0;
+    let gasUses = 0;
+    const members = people.map(p=>{
+      let left = p.kcal;
+      for(const e of pool){
+        if(left <= 0) break;
+        if(e.left <= 1e-9 || !isSafeFor(e.item, p.member)) continue;
+        const exp = parseDate(e.lot.expiry);
+        if(exp && exp < date) continue;
+        const kcal = Number(e.item.kcal);
+        let take = Math.min(e.left, left / kcal);
+        if(e.cooking?.water) take = Math.min(take, water / (e.cooking.water / 1000));
+        if(e.cooking?.gas) take = Math.min(take, gas);
+        if(take < Math.min(e.left, left / kcal) - 1e-9){
+          if(e.cooking.water && water < e.cooking.water / 1000) blocked.water = true;
+          if(e.cooking.gas && gas < 1) blocked.gas = true;
+        }
+        if(take <= 1e-9) continue;
+        e.left -= take;
+        left -= take * kcal;
+        if(e.cooking?.water){
+          water -= take * e.cooking.water / 1000;
+          cookL += take * e.cooking.water / 1000;
+        }
+        if(e.cooking?.gas){
+          gas -= take;
+          gasUses += take;
+        }
+        const dish = dishes.get(e.item) || { item: e.item, quantity: 0, kcal: 0, cooking: e.cooking };
+        dish.quantity += take;
+        dish.kcal += take * kcal;
+        dishes.set(e.item, dish);
+      }
+      return { member: p.member, need: p.kcal, eaten: p.kcal - Math.max(0, left) };
+    });
+    days.push({
+      day: d + 1, date, dishes: [...dishes.values()], members,
+      drinkL: drinkPerDay, cookL, gasUses, waterShort,
+      short: members.filter(m=>m.eaten < m.need - 0.5).map(m=>m.member),
+      blocked
+    });
+  }
+  const first = days.find(d=>d.waterShort || d.short.length);
+  return { days, firstShortDay: first ? first.day : null, waterLeft: water, gasLeft: gas / GAS_USES_PER_CARTRIDGE };
+}
+
+/**
+ * 献立プランを描画（献立タブ）
+ */
+function renderMealPlan(){
+  const plan = buildMealPlan();
+  const first = plan.days.find(d=>d.day === plan.firstShortDay);
+  const reasons = d=>[
+    ...(d.waterShort ? ['飲み水'] : []),
+    ...(d.short.length ? [`カロリー（${d.short.map(m=>escapeHtml(m.name)).join('・')}）`] : [])
+  ].join('・');
+  const blockedNote = d=>[
+    ...(d.blocked.water ? ['調理用の水'] : []),
+    ...(d.blocked.gas ? ['カセットボンベ'] : [])
+  ].join('・');
+
+  if(!plan.days.length || !family.members.some(m=>m.type === 'person')){
+    $('#mealPlanSummary').textContent = '家族構成タブで人を登録すると献立を作成します';
+  }else if(first){
+    const blocked = blockedNote(first);
+    $('#mealPlanSummary').innerHTML = `<strong class="meal-short">⚠️ ${first.day}日目（${formatDate(first.date)}）から献立を満たせません</strong><br>
+      不足：${reasons(first)}${blocked ? `。${blocked}が足りず使えない食品があります` : ''}`;
+  }else{
+    $('#mealPlanSummary').innerHTML = `<strong class="meal-ok">✅ 想定${family.days}日分の献立を在庫でまかなえます</strong><br>
+      最終日の残り：水 ${fmtNum(plan.waterLeft)}L・カセットボンベ ${fmtNum(plan.gasLeft)}本`;
+  }
+
+  $('#mealPlanTable tbody').innerHTML = plan.days.map(d=>{
+    const dishes = d.dishes.map(x=>{
+      const flags = x.cooking ? ` ${x.cooking.water ? '💧' : ''}${x.cooking.gas ? '🔥' : ''}<small>${escapeHtml(x.cooking.label)}</small>` : '';
+      return `<li>${escapeHtml(x.item.name)} ×${fmtNum(Math.round(x.quantity * 10) / 10)}${escapeHtml(x.item.unit || '')}（${fmtNum(Math.round(x.kcal))} kcal）${flags}</li>`;
+    }).join('');
+    const eaten = d.members.map(m=>`${escapeHtml(m.member.name)} ${fmtNum(Math.round(m.eaten))} / ${fmtNum(m.need)} kcal`).join('<br>');
+    const ok = !d.waterShort && !d.short.length;
+    const blocked = blockedNote(d);
+    return `<tr class="${ok ? '' : 'meal-short'}">
+      <td>${d.day}日目<div class="item-location">${formatDate(d.date)}</div></td>
+      <td>${dishes ? `<ul class="bullet">${dishes}</ul>` : '—'}</td>
+      <td>${eaten || '—'}</td>
+      <td>飲み水 ${fmtNum(d.drinkL)}L${d.cookL ? `<br>調理 ${fmtNum(Math.round(d.cookL * 100) / 100)}L` : ''}${d.gasUses ? `<br>🔥 ${fmtNum(Math.round(d.gasUses * 10) / 10)}回` : ''}</td>
+      <td>${ok ? '<span class="badge green">OK</span>' : `<span class="badge red">不足</span><div class="forecast-risk">${reasons(d)}${blocked ? `<br>${blocked}が不足` : ''}</div>`}</td>
+    </tr>`;
+  }).join('') || '<tr><td colspan="5" class="empty-state">献立がありません</td></tr>';
+}
+
+/* ===============================
+   Scenario
+
+   被災シミュレーション
+   発災日から1日ずつ、水・食料（カロリー）・生活必需品を家族の必要量だけ在庫から減らし、
+   残りが何日分あるかの推移と、それぞれが尽きる日を求める
+==================================*/
+
+// 断水中・停電中だけ使う生活必需品（それ以外は毎日使う）
+// 簡易トイレは水が流せない間、カセットボンベ（調理）と乾電池（明かり・ラジオ）は電気が使えない間
+const SCENARIO_ESSENTIAL_CONDITIONS = { toilet: 'noWater', gas: 'outage', battery: 'outage' };
+
+/**
+ * 被災シミュレーションの入力を読み取る
+ * @returns {Object} { start: Date, days, noWaterDays, outageDays } または { error: メッセージ }
+ */
+function readScenarioForm(){
+  const start = parseDate($('#scenarioStart').value);
+  const days = Number($('#scenarioDays').value);
+  const noWaterDays = Number($('#scenarioNoWater').value || 0);
+  const outageDays = Number($('#scenarioOutage').value || 0);
+  if(!start) return { error: '発災日を入力してください。' };
+  if(!Number.isInteger(days) || days < 1 || days > 365) return { error: '日数は1〜365日の整数で入力してください。' };
+  if(!Number.isInteger(noWaterDays) || noWaterDays < 0 || noWaterDays > 365) return { error: '断水の日数は0〜365日の整数で入力してください。' };
+  if(!Number.isInteger(outageDays) || outageDays < 0 || outageDays > 365) return { error: '停電の日数は0〜365日の整数で入力してください。' };
+  return { start, days, noWaterDays, outageDays };
+}
+
+/**
+ * 被災シミュレーション
+ *
+ * - 在庫は今の量のまま発災日を迎えるものとし、発災日より前に期限が切れるロットは最初から数えない
+ * - 毎日、期限の切れたロットを除いてから、期限の早いロットから必要量を使う（足りなければその日に「尽きた」とする）
+ * - 水は断水中だけ在庫から飲む（復旧後は水道を使う）。生活必需品は SCENARIO_ESSENTIAL_CONDITIONS の条件の間だけ使う
+ * - 残り日数は、残っている量 ÷ ふだんの1日の必要量
+ *
+ * @param {Object} options - readScenarioForm() の結果
+ * @returns {Array} [{ key, label, unit, perDay, series: 残り日数（開始時点 + 各日の終わり）, runOutDay: 尽きた日（何日目、なければ null）, expired: 期間中に期限切れで失う量 }]
+ */
+function simulateScenario({ start, days, noWaterDays, outageDays }){
+  const n = calcNeeds();
+  const lotsOf = (list, per)=>list.flatMap(it=>activeLots(it).map(lot=>({ expiry: parseDate(lot.expiry), amount: lot.quantity * per(it) })))
+    .sort((a,b)=>(a.expiry ?? Infinity) - (b.expiry ?? Infinity));
+  const waterItems = items.filter(it=>it.category === 'water');
+  const resources = [
+    {
+      key: 'water', label: '水', unit: 'L', perDay: sum(n.perMember.map(p=>p.water)),
+      lots: lotsOf(waterItems, it=>{ const liters = itemLiters(it); return liters == null ? 1 : liters / itemQuantity(it); }),
+      active: d=>d < noWaterDays
+    },
+    {
+      key: 'kcal', label: '食料', unit: 'kcal', perDay: sum(n.perMember.map(p=>p.kcal)),
+      lots: lotsOf(items.filter(isHumanFood), it=>Number(it.kcal) || 0),
+      active: ()=>true
+    },
+    ...essentialCoverage().map(e=>{
+      const maxDays = ESSENTIALS.find(x=>x.key === e.key).maxDays ?? Infinity;
+      const condition = SCENARIO_ESSENTIAL_CONDITIONS[e.key];
+      return {
+        key: e.key, label: e.label, unit: e.unit, perDay: e.perDay,
+        lots: lotsOf(e.items.filter(it=>essentialFactor(it) != null), essentialFactor),
+        active: d=>d < maxDays && (condition === 'noWater' ? d < noWaterDays : condition === 'outage' ? d < outageDays : true)
+      };
+    })
+  ].filter(r=>r.perDay > 0);
+
+  return resources.map(r=>{
+    let expired = 0;
+    let runOutDay = null;
+    const dropExpired = date=>{
+      for(const lot of r.lots){
+        if(lot.expiry && lot.expiry < date && lot.amount > 0){
+          if(date > start) expired += lot.amount;
+          lot.amount = 0;
+        }
+      }
+    };
+    const remaining = ()=>sum(r.lots.map(l=>l.amount));
+    dropExpired(start);
+    const series = [remaining() / r.perDay];
+    for(let d = 0; d < days; d++){
+      const date = new Date(start);
+      date.setDate(date.getDate() + d);
+      dropExpired(date);
+      let need = r.active(d) ? r.perDay : 0;
+      for(const lot of r.lots){
+        if(need <= 1e-9) break;
+        const take = Math.min(need, lot.amount);
+        lot.amount -= take;
+        need -= take;
+      }
+      if(need > 1e-9 && runOutDay == null) runOutDay = d + 1;
+      series.push(remaining() / r.perDay);
+    }
+    return { key: r.key, label: r.label, unit: r.unit, perDay: r.perDay, series, runOutDay, expired };
+  });
+}
+
+/**
+ * 被災シミュレーションを実行して折れ線グラフと結果を描画（献立タブ）
+ */
+function renderScenario(){
+  const ctx = $('#scenarioChart');
+  if(scenarioChart){
+    scenarioChart.destroy();
+    scenarioChart = null;
   }
-}
-
-function labelForCategory(c){
-  const map = {
-    'food':'食料', 'water':'水', 'medicine':'医薬品', 'pet-food':'ペットフード',
-    'daily':'生活用品', 'tool':'ツール', 'other':'その他'
+  const options = readScenarioForm();
+  if(options.error){
+    $('#scenarioResult').innerHTML = `<li>${escapeHtml(options.error)}</li>`;
+    return;
+  }
+  const results = simulateScenario(options);
+  if(!results.length){
+    $('#scenarioResult').innerHTML = '<li>家族構成タブで家族を登録するとシミュレーションできます</li>';
+    return;
+  }
+  const dateOf = day=>{
+    const d = new Date(options.start);
+    d.setDate(d.getDate() + day - 1);
+    return d;
   };
-  return map[c] || c;
-}
-function escapeHtml(s){
-  return String(s).replace(/[&<>"']/g, c=>({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[c]));
-}
-function fmtNum(n){
-  const v = Number(n);
-  if(Number.isNaN(v)) return '—';
-  return (Math.round(v*100)/100).toLocaleString();
+  const chartColor = getChartTextColor();
+  if(ctx){
+    scenarioChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: ['発災時', ...Array.from({ length: options.days }, (_, i)=>{ const d = dateOf(i + 1); return `${d.getMonth() + 1}/${d.getDate()}`; })],
+        datasets: results.map(r=>({
+          label: r.label,
+          data: r.series.map(v=>Math.round(v * 10) / 10),
+          // 尽きた日に大きな印をつける
+          pointRadius: r.series.map((_, i)=>i === r.runOutDay ? 7 : 0),
+          pointStyle: 'crossRot',
+          borderWidth: 2,
+          tension: 0.1
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          x: { ticks: { color: chartColor } },
+          y: { ticks: { color: chartColor }, beginAtZero: true, title: { display: true, text: '残り日数', color: chartColor } }
+        },
+        plugins: {
+          legend: { labels: { color: chartColor } },
+          tooltip: { callbacks: { label: c=>`${c.dataset.label}：${c.parsed.y}日分` } }
+        }
+      }
+    });
+  }
+
+  $('#scenarioResult').innerHTML = results.map(r=>{
+    const expired = r.expired > 0 ? `（期間中に期限切れで約${fmtNum(Math.round(r.expired))}${r.unit}を失います）` : '';
+    if(r.runOutDay != null){
+      const d = dateOf(r.runOutDay);
+      return `<li><strong class="caution">${escapeHtml(r.label)}：${r.runOutDay}日目（${d.getMonth() + 1}/${d.getDate()}）に尽きます</strong>${expired}</li>`;
+    }
+    return `<li>${escapeHtml(r.label)}：期間中は足ります（最終日の残り${fmtNum(Math.floor(r.series.at(-1)))}日分）${expired}</li>`;
+  }).join('');
 }
 
+$('#scenarioStart').value = formatDate(new Date());
+$('#scenarioDays').value = family.days;
+$('#scenarioNoWater').value = family.days;
+$('#scenarioOutage').value = family.days;
+
+$('#scenarioForm').addEventListener('submit', e=>{
+  e.preventDefault();
+  const options = readScenarioForm();
+  if(options.error){
+    alert(options.error);
+    return;
+  }
+  renderScenario();
+});
+
 /* ===============================
    Alerts & Suggestions
 ==================================*/
@@ -781,25 +5089,29 @@ function renderAlerts(){
   const warnEdge = new Date(now);
   warnEdge.setMonth(now.getMonth()+alertMonths);
 
+  // 期限はロット単位で判定（エントリ: { item, lot }）
   const expired = [];
   const near = [];
-  const rollingThisWeek = []; // items expiring within 7 days after warnEdge? No: items with no expiry but category food/water -> if plenty, suggest consume. For simplicity, choose near list also.
+  const rollingSoon = []; // 14日以内に期限が来るロット（日常の食事で優先して消費するもの）
   for(const it of items){
-    if(!it.expiry) continue;
-    const d = parseDate(it.expiry);
-    if(!d) continue;
-    if(d < today) expired.push(it);
-    else if(d <= warnEdge) near.push(it);
-    const diff = daysDiff(now, d);
-    if(diff >= 0 && diff <= 14) rollingThisWeek.push(it);
+    for(const lot of activeLots(it)){
+      const d = parseDate(lot.expiry);
+      if(!d) continue;
+      const entry = { item: it, lot };
+      if(d < today) expired.push(entry);
+      else if(d <= warnEdge) near.push(entry);
+      const diff = daysDiff(now, d);
+      if(diff >= 0 && diff <= ROLLING_SOON_DAYS) rollingSoon.push(entry);
+    }
   }
 
   const expiryUl = $('#expiryList');
   expiryUl.innerHTML = '';
-  [...expired, ...near].forEach(it=>{
+  [...expired, ...near].forEach(({ item: it, lot })=>{
     const li = document.createElement('li');
-    const tag = (parseDate(it.expiry) < today) ? '期限切れ' : '期限近';
-    li.innerHTML = `<strong>[${tag}]</strong> ${escapeHtml(it.name)} / ${fmtNum(it.quantity)} ${escapeHtml(it.unit||'')} / 期限: ${escapeHtml(it.expiry)}`;
+    const tag = (parseDate(lot.expiry) < today) ? '期限切れ' : '期限近';
+    const purchased = lot.purchased ? `（購入: ${escapeHtml(lot.purchased)}）` : '';
+    li.innerHTML = `<strong>[${tag}]</strong> ${escapeHtml(it.name)} / ${fmtNum(lot.quantity)} ${escapeHtml(it.unit||'')} / 期限: ${escapeHtml(lot.expiry)}${purchased}`;
     expiryUl.appendChild(li);
   });
   if(expiryUl.children.length===0){
@@ -808,206 +5120,863 @@ function renderAlerts(){
 
   const rollingUl = $('#rollingList');
   rollingUl.innerHTML = '';
-  if(rollingThisWeek.length){
-    rollingThisWeek.sort((a,b)=>parseDate(a.expiry)-parseDate(b.expiry));
-    rollingThisWeek.forEach(it=>{
+  if(rollingSoon.length){
+    rollingSoon.sort((a,b)=>compareExpiry(a.lot.expiry, b.lot.expiry));
+    rollingSoon.forEach(({ item: it, lot })=>{
       const li = document.createElement('li');
-      li.textContent = `${it.name}（${it.expiry} までに消費推奨）`;
+      li.innerHTML = `${escapeHtml(it.name)} × ${fmtNum(lot.quantity)}${escapeHtml(it.unit||'')}（${escapeHtml(lot.expiry)} までに消費推奨）
+        <button class="btn-small" data-item-id="${escapeHtml(it.id)}" data-lot-id="${escapeHtml(lot.id)}">消費</button>`;
+      li.querySelector('button').addEventListener('click', e=>{
+        openMoveModal('consume', findItem(e.currentTarget.dataset.itemId), e.currentTarget.dataset.lotId);
+      });
       rollingUl.appendChild(li);
     });
   }else{
-    rollingUl.innerHTML = '<li>今週の推奨消費対象はありません</li>';
+    rollingUl.innerHTML = `<li>${ROLLING_SOON_DAYS}日以内に消費を推奨するものはありません</li>`;
+  }
+
+  // Rolling-stock calendar: near and soon lots spread over the coming weeks
+  renderRollingCalendar([...new Set([...rollingSoon, ...near])], today);
+
+  // Items below their minimum stock level
+  const lowStock = items.filter(isBelowMinimum);
+  const lowStockUl = $('#lowStockList');
+  lowStockUl.innerHTML = '';
+  lowStock.forEach(it=>{
+    const unit = escapeHtml(it.unit||'');
+    const li = document.createElement('li');
+    li.innerHTML = `<strong>${escapeHtml(it.name)}</strong>：在庫 ${fmtNum(itemQuantity(it))} ${unit} / 最低 ${fmtNum(it.minQuantity)} ${unit}（${fmtNum(reorderQuantity(it))} ${unit}の補充を推奨）
+      <button class="btn-small" data-item-id="${escapeHtml(it.id)}">補充</button>`;
+    li.querySelector('button').addEventListener('click', e=>{
+      openMoveModal('restock', findItem(e.currentTarget.dataset.itemId));
+    });
+    lowStockUl.appendChild(li);
+  });
+  if(!lowStock.length){
+    lowStockUl.innerHTML = '<li>最低在庫を下回っているアイテムはありません</li>';
+  }
+
+  // Medicine: days each person's medicine lasts vs. the planned days
+  const medicines = buildMedicineSupply();
+  const medicineUl = $('#medicineList');
+  medicineUl.innerHTML = '';
+  medicines.forEach(s=>{
+    const unit = escapeHtml(s.item.unit||'');
+    const li = document.createElement('li');
+    const days = s.short
+      ? `<strong class="caution">あと${s.daysLeft}日分（想定${family.days}日に${fmtNum(s.reorder)} ${unit}不足）</strong>`
+      : `あと${s.daysLeft}日分（想定${family.days}日分あり）`;
+    li.innerHTML = `<strong>${escapeHtml(s.item.name)}</strong>（${escapeHtml(dosageLabel(s.item))}）：${days}
+      <button class="btn-small" data-item-id="${escapeHtml(s.item.id)}">補充</button>`
+      + s.expired.map(lot=>`<div class="forecast-risk">⚠️ 期限切れのロット（期限 ${escapeHtml(lot.expiry)}・${fmtNum(lot.quantity)} ${unit}）は数えていません</div>`).join('')
+      + s.atRisk.map(r=>`<div class="forecast-risk">⚠️ 期限 ${escapeHtml(r.lot.expiry)} のロット：約${fmtNum(r.waste)} ${unit}は期限内に飲みきれません</div>`).join('');
+    li.querySelector('button').addEventListener('click', e=>{
+      openMoveModal('restock', findItem(e.currentTarget.dataset.itemId));
+    });
+    medicineUl.appendChild(li);
+  });
+  if(!medicines.length){
+    medicineUl.innerHTML = '<li>服用量を登録した医薬品はありません（在庫管理タブで医薬品を編集し、服用する人と1日の服用回数を登録します）</li>';
+  }
+
+  // Consumption forecast
+  const forecasts = buildForecasts();
+  const forecastUl = $('#forecastList');
+  forecastUl.innerHTML = '';
+  forecasts.forEach(f=>{
+    const unit = escapeHtml(f.item.unit||'');
+    const li = document.createElement('li');
+    const soon = f.daysLeft <= FORECAST_RUNOUT_WARN_DAYS ? ' class="caution"' : '';
+    li.innerHTML = `<strong>${escapeHtml(f.item.name)}</strong>：1日あたり約${fmtNum(f.rate)} ${unit}消費 → <strong${soon}>${formatDate(f.runOut)}頃に在庫切れ</strong>（あと${f.daysLeft}日）`
+      + f.atRisk.map(r=>`<div class="forecast-risk">⚠️ 期限 ${escapeHtml(r.lot.expiry)} のロット：約${fmtNum(r.waste)} ${unit}が期限内に消費しきれない見込み</div>`).join('');
+    forecastUl.appendChild(li);
+  });
+  if(!forecasts.length){
+    forecastUl.innerHTML = '<li>消費の記録がまだありません（在庫管理タブの「消費」で記録すると予測を表示します）</li>';
+  }
+
+  // Coverage is computed once here and shared by the pets, advisor, history and charts
+  const cov = coverage();
+  renderPets(cov);
+
+  // Expert analysis (the grade is also recorded for the trend chart)
+  const advice = generateExpertAnalysis({ cov, expired, near, rolling: rollingSoon, forecasts, lowStock, medicines });
+  recordHealthSnapshot(cov, expired, near, advice.grade);
+  drawCoverageCharts(cov);
+}
+
+/* ===============================
+   Advisor Rules
+
+   AI防災アドバイザーのルールエンジン
+   ルールは「条件（when）・重要度（severity）・減点（penalty）・メッセージ（message）・推奨アクション（action）」を持つ。
+   条件に一致したルールの減点を100点から引いたスコアで総合評価を決め、どのルールが評価に影響したかを内訳として表示する。
+   組み込みルールは設定タブで無効にでき、同じ形式のルールをJSONで追加できる（すべてブラウザー内で評価）
+==================================*/
+
+// 重要度の表示（並び順もこの順）
+const ADVISOR_SEVERITY_LABELS = { critical: '緊急', warning: '警告', caution: '注意', info: '情報' };
+
+// スコアの下限ごとの総合評価（上から順に判定）
+const ADVISOR_GRADE_THRESHOLDS = [[95, '優秀'], [80, '良好'], [50, '要改善'], [0, '緊急対応必要']];
+
+// 比較演算子の表示
+const ADVISOR_OP_LABELS = { '<': '<', '<=': '≦', '>': '>', '>=': '≧', '==': '=', '!=': '≠', 'in': 'のいずれか' };
+
+/**
+ * ルールの条件で使える指標
+ * get：値（数値。判定できないときは null）、list：メッセージの {指標:list} に入れる名前の一覧、param：条件で指定する追加の項目
+ */
+const ADVISOR_METRICS = {
+  waterCov: { label: '水の充足率(%)', get: ctx=>ctx.cov.waterCov },
+  waterShortPct: { label: '水の不足率(%)', get: ctx=>100 - ctx.cov.waterCov },
+  kcalCov: { label: 'カロリーの充足率(%)', get: ctx=>ctx.cov.kcalCov },
+  kcalShortPct: { label: 'カロリーの不足率(%)', get: ctx=>100 - ctx.cov.kcalCov },
+  waterShortL: { label: '水の不足量(L)', get: ctx=>ctx.short.waterL },
+  waterShortBottles: { label: '水の不足量(2Lペットボトル・本)', get: ctx=>ctx.short.bottles },
+  kcalShort: { label: 'カロリーの不足量(kcal)', get: ctx=>ctx.short.kcal },
+  kcalShortCans: { label: `カロリーの不足量(缶詰・レトルト${KCAL_PER_CAN}kcal換算・個)`, get: ctx=>ctx.short.cans },
+  petFoodCov: { label: 'ペットフードの充足率(%)', get: ctx=>ctx.cov.petFoodCov },
+  waterUnsized: { label: '内容量が未設定の水(件)', get: ctx=>ctx.cov.totals.waterUnsized.length, list: ctx=>ctx.cov.totals.waterUnsized.map(it=>it.name) },
+  expired: { label: '期限切れ(件)', get: ctx=>ctx.expired.length, list: ctx=>ctx.expired.map(e=>e.item.name) },
+  near: { label: '期限間近(件)', get: ctx=>ctx.near.length, list: ctx=>ctx.near.map(e=>e.item.name) },
+  rolling: { label: 'ローリングストック推奨(件)', get: ctx=>ctx.rolling.length, list: ctx=>ctx.rolling.map(e=>e.item.name) },
+  alertMonths: { label: '警告閾値(か月)', get: ()=>alertMonths },
+  lowStock: { label: '最低在庫割れ(件)', get: ctx=>ctx.lowStock.length, list: ctx=>ctx.lowStock.map(it=>it.name) },
+  wasteRisks: { label: '期限内に使い切れない見込みのロット(件)', get: ctx=>ctx.wasteRisks.length, list: ctx=>ctx.wasteRisks.map(r=>r.item.name) },
+  runOutSoon: { label: `${FORECAST_RUNOUT_WARN_DAYS}日以内に在庫切れ見込み(件)`, get: ctx=>ctx.runOutSoon.length, list: ctx=>ctx.runOutSoon.map(f=>f.item.name) },
+  medicineShort: { label: '想定日数に足りない常用薬(件)', get: ctx=>ctx.medicineShort.length, list: ctx=>ctx.medicineShort.map(s=>`${s.member ? s.member.name : '服用者未設定'}の${s.item.name}`) },
+  restrictedShort: { label: '食べられる食料が不足している家族(人)', get: ctx=>ctx.restrictedShort.length, list: ctx=>ctx.restrictedShort.map(f=>f.member.name) },
+  restrictedMembers: { label: '食事制限のある家族(人)', get: ctx=>ctx.restricted.length, list: ctx=>ctx.restricted.map(f=>f.member.name) },
+  allergenItems: { label: 'アレルゲンを登録したアイテム数', get: ()=>items.filter(it=>it.allergens.length).length },
+  medicineUnassigned: { label: '服用する人が未設定の常用薬(件)', get: ctx=>ctx.medicineUnassigned.length, list: ctx=>ctx.medicineUnassigned.map(s=>s.item.name) },
+  essentialShort: { label: '想定日数に足りない生活必需品(品目)', get: ctx=>ctx.essentialShort.length, list: ctx=>ctx.essentialShort.map(e=>e.label) },
+  essentialDays: { label: '生活必需品の備蓄日数', param: 'key', get: (ctx, c)=>ctx.cov.essentials.find(e=>e.key === c.key)?.days ?? 0 },
+  essentialUncounted: { label: '生活必需品に換算できないアイテム(件)', get: ctx=>ctx.essentialUncounted.length, list: ctx=>ctx.essentialUncounted.map(it=>it.name) },
+  foodItems: { label: '食品のアイテム数', get: ctx=>ctx.foods.length },
+  nutrientItems: { label: '栄養成分を入力した食品数', get: ctx=>ctx.foods.filter(it=>Object.keys(it.nutrients).length).length },
+  nutrientBalance: { label: '栄養素のカロリーあたりの充足(目標比%)', param: 'key', get: (ctx, c)=>{
+    const balance = ctx.cov.nutrients.find(n=>n.key === c.key)?.balance;
+    return balance != null ? Math.round(balance * 100) : null;
+  } },
+  itemCount: { label: 'アイテム数', get: ()=>items.length },
+  categoryCount: { label: '登録カテゴリ数', get: ()=>new Set(items.map(it=>it.category)).size },
+  categoryItems: { label: 'カテゴリのアイテム数', param: 'category', get: (ctx, c)=>items.filter(it=>it.category === c.category).length },
+  itemsNamed: { label: '品名を含む在庫ありのアイテム数', param: 'keyword', get: (ctx, c)=>c.keyword ? items.filter(it=>it.name.includes(c.keyword) && itemQuantity(it) > 0).length : 0 },
+  waterPlaces: { label: '水を保管している場所の数', get: ctx=>ctx.spread.water.named.length, list: ctx=>ctx.spread.water.named },
+  foodPlaces: { label: '食料を保管している場所の数', get: ctx=>ctx.spread.food.named.length, list: ctx=>ctx.spread.food.named },
+  unplacedStock: { label: '保管場所が未設定の水・食料(区分)', get: ctx=>ctx.unplaced.length, list: ctx=>ctx.unplaced },
+  people: { label: '人数', get: ()=>family.members.filter(m=>m.type === 'person').length },
+  children: { label: '子どもの人数', get: ctx=>ctx.counts.children },
+  seniors: { label: '高齢者の人数', get: ctx=>ctx.counts.seniors },
+  pregnant: { label: '妊娠中・授乳中の人数', get: ()=>family.members.filter(m=>m.pregnancy !== 'none').length },
+  // 必要量の基準を設定した区分では、設定値をそのまま使い妊娠・授乳の付加量を加えない（memberNeeds）
+  pregnantExtra: { label: '妊娠・授乳の付加量を見込んだ人数', get: ctx=>ctx.pregnantExtra.length, list: ctx=>ctx.pregnantExtra.map(m=>m.name) },
+  pregnantRated: { label: '必要量の基準を設定した区分の妊娠中・授乳中の人数', get: ctx=>ctx.pregnantRated.length, list: ctx=>ctx.pregnantRated.map(m=>m.name) },
+  pets: { label: 'ペットの数', get: ctx=>ctx.counts.dogs + ctx.counts.cats },
+  petFoodItems: { label: 'ペットフードのアイテム数', get: ()=>items.filter(it=>it.category === 'pet-food').length },
+  petPrepMissing: { label: 'ペット同行避難の未登録品目(件)', get: ctx=>ctx.petPrepMissing.length, list: ctx=>ctx.petPrepMissing.map(s=>s.entry.name) },
+  goBags: { label: '持ち出し袋の数', get: ctx=>ctx.bagSummary.bags },
+  goBagScore: { label: '持ち出し袋の準備度(%)', get: ctx=>ctx.bagSummary.score },
+  goBagExpired: { label: '持ち出し袋の期限切れ(件)', get: ctx=>ctx.bagSummary.expired },
+  days: { label: '想定日数', get: ()=>family.days },
+  month: { label: '今月(1〜12)', get: ctx=>ctx.today.getMonth() + 1 }
+};
+
+// 組み込みルール（追加ルールと同じ形式。id で無効にできる）
+const ADVISOR_RULES = [
+  // 水・食料の不足は充足率で重要度を分ける（70%未満は最優先。同じ不足を二重に出さないよう範囲を分ける）
+  { id: 'water-priority', label: '水の大幅な不足', severity: 'critical', penalty: { metric: 'waterShortPct', factor: 0.5, max: 50 },
+    when: { metric: 'waterCov', op: '<', value: 70 },
+    message: '最優先：水が想定日数分の{waterCov}%しかありません（不足 {waterShortL}L）。', action: '1人1日3Lを目安に、まず2Lペットボトルで約{waterShortBottles}本を補充してください。' },
+  { id: 'water-shortage', label: '水の不足', severity: 'warning', penalty: { metric: 'waterShortPct', factor: 0.5, max: 50 },
+    when: { all: [{ metric: 'waterCov', op: '>=', value: 70 }, { metric: 'waterCov', op: '<', value: 100 }] },
+    message: '水が想定日数分の{waterCov}%です（不足 {waterShortL}L）。', action: '2Lペットボトルで約{waterShortBottles}本を補充してください。' },
+  { id: 'kcal-priority', label: '食料の大幅な不足', severity: 'critical', penalty: { metric: 'kcalShortPct', factor: 0.5, max: 50 },
+    when: { metric: 'kcalCov', op: '<', value: 70 },
+    message: '食料（カロリー）が想定日数分の{kcalCov}%しかありません（不足 {kcalShort} kcal）。', action: '水の次に、缶詰・レトルト・アルファ米など長期保存できる食料を約{kcalShortCans}個分追加してください。' },
+  { id: 'kcal-shortage', label: '食料の不足', severity: 'warning', penalty: { metric: 'kcalShortPct', factor: 0.5, max: 50 },
+    when: { all: [{ metric: 'kcalCov', op: '>=', value: 70 }, { metric: 'kcalCov', op: '<', value: 100 }] },
+    message: '食料（カロリー）が想定日数分の{kcalCov}%です（不足 {kcalShort} kcal）。', action: '缶詰・レトルト約{kcalShortCans}個分など、長期保存できる食料を補充してください。' },
+  { id: 'expired', label: '期限切れ', severity: 'warning', penalty: { metric: 'expired', factor: 8, max: 40 },
+    when: { metric: 'expired', op: '>', value: 0 },
+    message: '期限切れが{expired}件あります（{expired:list}）。', action: '至急確認し、処分または消費を検討してください。' },
+  { id: 'expired-many', label: '期限切れが多数', severity: 'caution', penalty: 0,
+    when: { metric: 'expired', op: '>', value: 3 },
+    message: '期限切れのアイテムが多数あります。', action: '月1回など定期的に在庫を見直しましょう。' },
+  { id: 'near-expiry', label: '期限間近', severity: 'info', penalty: 0,
+    when: { metric: 'near', op: '>', value: 0 },
+    message: '{near}件が{alertMonths}か月以内に期限を迎えます。', action: 'ローリングストック消費カレンダーで計画的に消費しましょう。' },
+  { id: 'water-unsized', label: '内容量が未設定の水', severity: 'caution', penalty: 0,
+    when: { metric: 'waterUnsized', op: '>', value: 0 },
+    message: '内容量が未設定の水があります（{waterUnsized:list}）。1単位＝1Lとして計算しています。', action: '在庫管理タブで「2L」「500ml」などの内容量を入力してください。' },
+  { id: 'waste-risk', label: '期限内に使い切れない見込み', severity: 'caution', penalty: 2,
+    when: { metric: 'wasteRisks', op: '>', value: 0 },
+    message: '現在の消費ペースでは期限内に使い切れないロットが{wasteRisks}件あります（{wasteRisks:list}）。', action: '日常の食事で消費を前倒ししましょう。' },
+  { id: 'runout-soon', label: '在庫切れの見込み', severity: 'caution', penalty: 0,
+    when: { metric: 'runOutSoon', op: '>', value: 0 },
+    message: '現在の消費ペースでは近いうちに在庫切れになる見込みです（{runOutSoon:list}）。', action: '早めに補充してください。' },
+  { id: 'low-stock', label: '最低在庫割れ', severity: 'caution', penalty: 2,
+    when: { metric: 'lowStock', op: '>', value: 0 },
+    message: '最低在庫を下回っているアイテムが{lowStock}件あります（{lowStock:list}）。', action: '買い物リストで補充しましょう。' },
+  { id: 'rolling-many', label: 'ローリングストック対象が多数', severity: 'info', penalty: 0,
+    when: { all: [{ metric: 'rolling', op: '>', value: 5 }, { metric: 'wasteRisks', op: '==', value: 0 }] },
+    message: 'ローリングストック対象が{rolling}件あります。', action: '週ごとに計画的に消費しましょう。' },
+  { id: 'medicine-short', label: '常用薬の不足', severity: 'warning', penalty: { metric: 'medicineShort', factor: 5, max: 15 },
+    when: { metric: 'medicineShort', op: '>', value: 0 },
+    message: '想定日数に足りない常用薬があります（{medicineShort:list}）。', action: '次の受診時に多めの処方を相談し、お薬手帳のコピーも備えましょう。' },
+  { id: 'medicine-unassigned', label: '服用する人が未設定の常用薬', severity: 'info', penalty: 0,
+    when: { metric: 'medicineUnassigned', op: '>', value: 0 },
+    message: '服用する人が未設定の常用薬があります（{medicineUnassigned:list}）。', action: '在庫管理タブで服用する人を選ぶと、誰の薬が足りないかを確認できます。' },
+  { id: 'restriction-short', label: '食事制限のある家族の食料不足', severity: 'warning', penalty: { metric: 'restrictedShort', factor: 5, max: 15 },
+    when: { metric: 'restrictedShort', op: '>', value: 0 },
+    message: '食事制限のある家族が食べられる食料が不足しています（{restrictedShort:list}）。', action: 'アレルゲンを使っていない食品（特定原材料不使用のアルファ米・おかゆ・缶詰など）を追加してください。' },
+  { id: 'allergens-unset', label: 'アレルゲンが未登録', severity: 'caution', penalty: 0,
+    when: { all: [{ metric: 'restrictedMembers', op: '>', value: 0 }, { metric: 'allergenItems', op: '==', value: 0 }] },
+    message: '食事制限のある家族がいますが、アレルゲンを登録したアイテムがないため、すべての食料を食べられるものとして計算しています。', action: '在庫管理タブで食品のアレルゲン（特定原材料）を登録してください。' },
+  { id: 'essential-short', label: '生活必需品の不足', severity: 'warning', penalty: { metric: 'essentialShort', factor: 3, max: 15 },
+    when: { metric: 'essentialShort', op: '>', value: 0 },
+    message: '想定日数に足りない生活必需品があります（{essentialShort:list}）。', action: '買い物リストで不足分を確認し、補充してください。' },
+  { id: 'essential-uncounted', label: '生活必需品に換算できないアイテム', severity: 'caution', penalty: 0,
+    when: { metric: 'essentialUncounted', op: '>', value: 0 },
+    message: '単位を換算できないため生活必需品の日数に数えていないアイテムがあります（{essentialUncounted:list}）。', action: 'アイテムの編集で「1単位あたりの数（生活必需品）」を入力してください。' },
+  { id: 'nutrients-unentered', label: '栄養成分が未入力', severity: 'info', penalty: 0,
+    when: { all: [{ metric: 'foodItems', op: '>', value: 0 }, { metric: 'nutrientItems', op: '==', value: 0 }] },
+    message: '食品の栄養成分が未入力です。', action: 'パッケージの「栄養成分表示」を入力すると、たんぱく質や食物繊維の過不足を確認できます。' },
+  // 栄養素ごとの不足（カロリーあたりで目標の NUTRIENT_BALANCE_WARN 未満）
+  ...Object.entries(NUTRIENT_SUGGESTIONS).map(([key, action])=>{
+    const label = NUTRIENTS.find(n=>n.key === key).label;
+    return { id: `nutrient-${key}`, label: `${label}の不足`, severity: 'caution', penalty: 2,
+      when: { metric: 'nutrientBalance', key, op: '<', value: NUTRIENT_BALANCE_WARN * 100 },
+      message: `カロリーの割に${label}が少なめです（栄養成分を入力した食品で判定）。`, action };
+  }),
+  { id: 'salt-high', label: '食塩相当量が多め', severity: 'caution', penalty: 1,
+    when: { metric: 'nutrientBalance', key: 'salt', op: '>', value: 100 },
+    message: 'カロリーの割に食塩相当量が上限の目安を超えています。', action: '減塩タイプを選び、飲み水を多めに確保しましょう。' },
+  { id: 'no-items', label: '備蓄が未登録', severity: 'critical', penalty: 0,
+    when: { metric: 'itemCount', op: '==', value: 0 },
+    message: 'まだ備蓄が登録されていません。', action: 'まずは水・保存食・医薬品・懐中電灯から始めましょう。' },
+  { id: 'category-narrow', label: 'カテゴリの偏り', severity: 'caution', penalty: 3,
+    when: { all: [{ metric: 'itemCount', op: '>', value: 0 }, { metric: 'categoryCount', op: '<', value: 3 }] },
+    message: '登録カテゴリが{categoryCount}種類に偏っています。', action: '水・食料に加えて医薬品・生活用品・ツール類など、多様な備蓄を心がけましょう。' },
+  { id: 'category-few', label: 'カテゴリがやや少ない', severity: 'info', penalty: 0,
+    when: { all: [{ metric: 'categoryCount', op: '>=', value: 3 }, { metric: 'categoryCount', op: '<', value: 5 }] },
+    message: '登録カテゴリが{categoryCount}種類です。', action: '医薬品・生活用品・ツール類も検討してください。' },
+  { id: 'medicine-missing', label: '医薬品が未登録', severity: 'caution', penalty: 3,
+    when: { all: [{ metric: 'itemCount', op: '>', value: 0 }, { metric: 'categoryItems', category: 'medicine', op: '==', value: 0 }] },
+    message: '医薬品が登録されていません。', action: '常備薬・救急セットを備蓄してください。' },
+  { id: 'daily-missing', label: '生活用品が未登録', severity: 'caution', penalty: 2,
+    when: { all: [{ metric: 'itemCount', op: '>', value: 0 }, { metric: 'categoryItems', category: 'daily', op: '==', value: 0 }] },
+    message: '生活用品が登録されていません。', action: 'トイレットペーパー・石けんなどを追加しましょう。' },
+  { id: 'water-one-place', label: '水の保管場所が1か所', severity: 'caution', penalty: 2,
+    when: { metric: 'waterPlaces', op: '==', value: 1 },
+    message: '保管場所を登録した水は「{waterPlaces:list}」の1か所だけです。', action: '被災時にその場所へ行けない場合に備え、車・職場・持ち出し袋などにも分散しましょう。' },
+  { id: 'food-one-place', label: '食料の保管場所が1か所', severity: 'caution', penalty: 2,
+    when: { metric: 'foodPlaces', op: '==', value: 1 },
+    message: '保管場所を登録した食料は「{foodPlaces:list}」の1か所だけです。', action: '被災時にその場所へ行けない場合に備え、車・職場・持ち出し袋などにも分散しましょう。' },
+  { id: 'location-unset', label: '保管場所が未設定', severity: 'info', penalty: 0,
+    when: { metric: 'unplacedStock', op: '>', value: 0 },
+    message: '{unplacedStock:list}の保管場所が未設定です。', action: '保管場所を登録すると分散状況を確認できます。' },
+  { id: 'pet-food-missing', label: 'ペットフードが未登録', severity: 'warning', penalty: 5,
+    when: { all: [{ metric: 'pets', op: '>', value: 0 }, { metric: 'petFoodItems', op: '==', value: 0 }] },
+    message: 'ペット用の備蓄（フード）が登録されていません。', action: 'ペットフードと水を忘れずに追加してください。' },
+  { id: 'pet-food-short', label: 'ペットフードの不足', severity: 'warning', penalty: 3,
+    when: { all: [{ metric: 'pets', op: '>', value: 0 }, { metric: 'petFoodItems', op: '>', value: 0 }, { metric: 'petFoodCov', op: '<', value: 100 }] },
+    message: 'ペットフードが想定日数分の{petFoodCov}%です（内容量が未設定のフードは数えていません）。', action: '普段食べているフードを多めに備えましょう。' },
+  { id: 'pet-prep', label: 'ペット同行避難の準備', severity: 'caution', penalty: 0,
+    when: { all: [{ metric: 'pets', op: '>', value: 0 }, { metric: 'petPrepMissing', op: '>', value: 0 }] },
+    message: 'ペット同行避難の準備で未登録の品目が{petPrepMissing}件あります（{petPrepMissing:list}）。', action: 'アラートタブの「ペット同行避難の準備」から在庫に追加できます。' },
+  { id: 'children', label: '子どものいる家庭', severity: 'info', penalty: 0,
+    when: { metric: 'children', op: '>', value: 0 },
+    message: '子どもが{children}人います。', action: '乳幼児がいる場合、粉ミルク・離乳食・おむつも必須です。' },
+  { id: 'pregnancy', label: '妊娠中・授乳中', severity: 'info', penalty: 0,
+    when: { metric: 'pregnantExtra', op: '>', value: 0 },
+    message: '妊娠中・授乳中の方（{pregnantExtra:list}）の分は水とカロリーを多めに見込んでいます。', action: '葉酸・鉄分を含む食品や衛生用品も備えましょう。' },
+  { id: 'pregnancy-rated', label: '妊娠中・授乳中（基準値を設定）', severity: 'info', penalty: 0,
+    when: { metric: 'pregnantRated', op: '>', value: 0 },
+    message: '妊娠中・授乳中の方（{pregnantRated:list}）は必要量の基準を設定した区分のため、設定した値をそのまま使い、妊娠・授乳の付加量は加えていません。', action: '必要に応じて必要量の基準を見直し、葉酸・鉄分を含む食品や衛生用品も備えましょう。' },
+  { id: 'seniors', label: '高齢者のいる家庭', severity: 'info', penalty: 0,
+    when: { metric: 'seniors', op: '>', value: 0 },
+    message: '高齢の家族が{seniors}人います。', action: '常備薬・介護用品・やわらかい食品を考慮してください。' },
+  { id: 'gobag-incomplete', label: '持ち出し袋の準備', severity: 'caution', penalty: 0,
+    when: { all: [{ metric: 'goBags', op: '>', value: 0 }, { metric: 'goBagScore', op: '<', value: 100 }] },
+    message: '非常用持ち出し袋の準備度は{goBagScore}%です。', action: '持ち出し袋タブで不足品を確認しましょう。' },
+  { id: 'gobag-expired', label: '持ち出し袋の期限切れ', severity: 'warning', penalty: 2,
+    when: { metric: 'goBagExpired', op: '>', value: 0 },
+    message: '持ち出し袋に期限切れの品目が{goBagExpired}件あります。', action: '新しいものと入れ替えてください。' }
+];
+
+/**
+ * ルールの評価に使う状況をまとめる
+ * @param {Object} data - { cov, expired, near, rolling, forecasts, lowStock, medicines }（renderAlerts で集計したもの。cov は coverage() の結果）
+ * @returns {Object} ルールの条件・メッセージから参照する値
+ */
+function advisorContext({ cov, expired, near, rolling, forecasts, lowStock, medicines }){
+  const now = new Date();
+  // 水・食料の保管場所（在庫のある場所。named は保管場所を設定したもの）
+  const spread = {};
+  for(const key of ['water', 'food']){
+    const places = Object.keys(quantityByLocation([key]));
+    spread[key] = { places, named: places.filter(Boolean) };
+  }
+  // 妊娠中・授乳中の人のうち、区分の水・カロリーの基準値を設定しているか
+  const pregnant = family.members.filter(m=>m.pregnancy !== 'none');
+  const rated = m=>needRates[memberRole(m)].water != null || needRates[memberRole(m)].kcal != null;
+  return {
+    today: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+    cov, expired, near, rolling, lowStock, spread,
+    short: coverageShortfalls(cov),
+    counts: familyCounts(),
+    wasteRisks: forecasts.flatMap(f=>f.atRisk.map(r=>({ item: f.item, ...r }))),
+    runOutSoon: forecasts.filter(f=>f.daysLeft <= FORECAST_RUNOUT_WARN_DAYS),
+    medicineShort: medicines.filter(s=>s.short),
+    medicineUnassigned: medicines.filter(s=>!s.member),
+    restricted: cov.food.members.filter(f=>f.member.restrictions.length),
+    restrictedShort: cov.food.members.filter(f=>f.member.restrictions.length && f.allocated < f.need - 0.5),
+    essentialShort: cov.essentials.filter(e=>e.perDay > 0 && e.days < e.target),
+    essentialUncounted: cov.essentials.filter(e=>e.perDay > 0).flatMap(e=>e.uncounted),
+    foods: items.filter(it=>it.category === 'food' || isHumanFood(it)),
+    unplaced: [['water', '水'], ['food', '食料']].filter(([key])=>spread[key].places.length && !spread[key].named.length).map(([, label])=>label),
+    petPrepMissing: family.members.some(m=>m.type !== 'person') ? petPrepStatus(cov).filter(s=>!s.ready && !s.entry.check) : [],
+    bagSummary: goBagSummary(),
+    pregnantExtra: pregnant.filter(m=>!rated(m)),
+    pregnantRated: pregnant.filter(rated)
+  };
+}
+
+/**
+ * 条件（指標の比較、または all / any の組み合わせ）を評価
+ * @param {Object} c - 条件
+ * @param {Object} ctx - advisorContext() の結果
+ * @returns {boolean} 一致すれば true（未知の指標と、値のない指標（栄養成分が未入力の栄養素など）は一致しない）
+ */
+function matchCondition(c, ctx){
+  if(c.all) return c.all.every(x=>matchCondition(x, ctx));
+  if(c.any) return c.any.some(x=>matchCondition(x, ctx));
+  const metric = ADVISOR_METRICS[c.metric];
+  if(!metric) return false;
+  const v = metric.get(ctx, c);
+  if(v == null) return false;
+  switch(c.op){
+    case '<': return v < c.value;
+    case '<=': return v <= c.value;
+    case '>': return v > c.value;
+    case '>=': return v >= c.value;
+    case '==': return v === c.value;
+    case '!=': return v !== c.value;
+    case 'in': return c.value.includes(v);
+    default: return false;
   }
+}
+
+/**
+ * 条件に含まれる指標名の一覧（追加ルールの確認用）
+ * @param {Object} c - 条件
+ * @returns {Array} 指標名
+ */
+function conditionMetrics(c){
+  if(c.all || c.any) return (c.all || c.any).flatMap(conditionMetrics);
+  return [c.metric];
+}
+
+/**
+ * ルールの減点（固定値、または { metric, factor, max } で指標の値 × factor、上限 max）
+ * 引数のある指標（essentialDays など）は減点に書いた key・category・keyword で値を取る
+ * @param {Object} rule - ルール
+ * @param {Object} ctx - advisorContext() の結果
+ * @returns {number} 減点（0以上）
+ */
+function rulePenalty(rule, ctx){
+  const p = rule.penalty;
+  if(typeof p === 'number') return p;
+  const metric = ADVISOR_METRICS[p?.metric];
+  if(!metric) return 0;
+  return Math.round(Math.min(p.max, Math.max(0, (metric.get(ctx, p) ?? 0) * p.factor)) * 10) / 10;
+}
+
+/**
+ * メッセージの {指標} を値に、{指標:list} を名前の一覧（3件まで）に置き換える
+ * @param {string} template - メッセージ
+ * @param {Object} ctx - advisorContext() の結果
+ * @returns {string} 置き換えたメッセージ（HTMLエスケープ前）
+ */
+function fillTemplate(template, ctx){
+  return template.replace(/\{(\w+)(:list)?\}/g, (all, name, list)=>{
+    const metric = ADVISOR_METRICS[name];
+    if(!metric || metric.param) return all;
+    if(!list) return fmtNum(metric.get(ctx, {}));
+    const names = metric.list ? [...new Set(metric.list(ctx))] : [];
+    return names.slice(0, 3).join('、') + (names.length > 3 ? ' など' : '');
+  });
+}
+
+/**
+ * スコアから総合評価を決める
+ * @param {number} score - 0〜100
+ * @returns {string} HEALTH_GRADES のいずれか
+ */
+function gradeForScore(score){
+  return ADVISOR_GRADE_THRESHOLDS.find(([min])=>score >= min)[1];
+}
+
+/**
+ * 組み込みルールと追加ルールの一覧
+ * @returns {Array} ルール（組み込みは builtin: true）
+ */
+function advisorRuleList(){
+  return [...ADVISOR_RULES.map(r=>({ ...r, builtin: true })), ...advisorRules.custom];
+}
+
+/**
+ * 有効なルールをすべて評価
+ * @param {Object} ctx - advisorContext() の結果
+ * @returns {Object} { findings: [{ rule, penalty, message, action }]（重要度順）, score, grade }
+ */
+function evaluateAdvisorRules(ctx){
+  const order = Object.keys(ADVISOR_SEVERITY_LABELS);
+  const findings = advisorRuleList()
+    .filter(r=>!advisorRules.disabled.includes(r.id) && matchCondition(r.when, ctx))
+    .map(rule=>({ rule, penalty: rulePenalty(rule, ctx), message: fillTemplate(rule.message, ctx), action: fillTemplate(rule.action, ctx) }))
+    .sort((a,b)=>order.indexOf(a.rule.severity) - order.indexOf(b.rule.severity));
+  const score = Math.max(0, Math.round(100 - sum(findings.map(f=>f.penalty))));
+  return { findings, score, grade: gradeForScore(score) };
+}
+
+/**
+ * 条件の表示（例：「水の充足率(%) < 100 かつ 期限切れ(件) > 0」）
+ * @param {Object} c - 条件
+ * @returns {string} 表示文字列
+ */
+function describeCondition(c){
+  if(c.all) return c.all.map(describeCondition).join(' かつ ');
+  if(c.any) return `（${c.any.map(describeCondition).join(' または ')}）`;
+  const metric = ADVISOR_METRICS[c.metric];
+  const label = metric ? metric.label : `不明な指標「${c.metric}」`;
+  const param = metric?.param && c[metric.param] ? `「${c[metric.param]}」` : '';
+  const value = Array.isArray(c.value) ? c.value.join('・') : c.value;
+  return c.op === 'in' ? `${label}${param}が ${value} のいずれか` : `${label}${param} ${ADVISOR_OP_LABELS[c.op]} ${value}`;
+}
+
+/**
+ * 減点の表示
+ * @param {number|Object} p - ルールの penalty
+ * @returns {string} 表示文字列
+ */
+function describePenalty(p){
+  if(typeof p === 'number') return p ? `−${fmtNum(p)}` : '—';
+  const metric = ADVISOR_METRICS[p.metric];
+  const param = metric?.param && p[metric.param] ? `「${p[metric.param]}」` : '';
+  return `−${metric ? metric.label : p.metric}${param}×${fmtNum(p.factor)}（最大${fmtNum(p.max)}）`;
+}
 
-  // Expert analysis
-  generateExpertAnalysis(expired, near, rollingThisWeek);
-  drawCoverageCharts();
+/**
+ * ルールの一覧とJSONエディタを描画（システム設定タブ）
+ */
+function renderAdvisorRules(){
+  $('#advisorRuleTable tbody').innerHTML = advisorRuleList().map(r=>`<tr>
+      <td><input type="checkbox" data-advisor-rule="${escapeHtml(r.id)}" ${advisorRules.disabled.includes(r.id) ? '' : 'checked'} aria-label="${escapeHtml(r.label)}を使う" /></td>
+      <td>${escapeHtml(r.label)}${r.builtin ? '' : ' <span class="badge">追加</span>'}<div class="item-location"><code>${escapeHtml(r.id)}</code></div></td>
+      <td><span class="severity-badge ${r.severity}">${ADVISOR_SEVERITY_LABELS[r.severity]}</span></td>
+      <td>${escapeHtml(describeCondition(r.when))}</td>
+      <td>${escapeHtml(describePenalty(r.penalty))}</td>
+    </tr>`).join('');
+  $('#advisorRulesJson').value = JSON.stringify(advisorRules, null, 2);
+  $$('#advisorRuleTable [data-advisor-rule]').forEach(cb=>{
+    cb.addEventListener('change', ()=>{
+      const id = cb.dataset.advisorRule;
+      advisorRules.disabled = cb.checked ? advisorRules.disabled.filter(x=>x !== id) : [...advisorRules.disabled, id];
+      saveJSON(LS_ADVISOR_RULES, advisorRules);
+      renderAdvisorRules();
+      renderAlerts();
+    });
+  });
 }
 
+$('#saveAdvisorRules').addEventListener('click', ()=>{
+  let data;
+  try{
+    data = JSON.parse($('#advisorRulesJson').value);
+  }catch(err){
+    alert('JSONの形式が正しくありません。');
+    return;
+  }
+  // A bare array is treated as the list of added rules
+  const next = validateAdvisorRules(Array.isArray(data) ? { disabled: advisorRules.disabled, custom: data } : data);
+  const given = Array.isArray(data) ? data : (Array.isArray(data?.custom) ? data.custom : []);
+  if(next.custom.length < given.length){
+    alert(`読み込めないルールが${given.length - next.custom.length}件あります（id・when・message は必須です）。`);
+    return;
+  }
+  const duplicate = next.custom.find(r=>ADVISOR_RULES.some(b=>b.id === r.id));
+  if(duplicate){
+    alert(`「${duplicate.id}」は組み込みルールと同じIDです。別のIDにしてください。`);
+    return;
+  }
+  const unknown = [...new Set(next.custom.flatMap(r=>[...conditionMetrics(r.when), ...(typeof r.penalty === 'object' ? [r.penalty.metric] : [])]))]
+    .filter(m=>!ADVISOR_METRICS[m]);
+  if(unknown.length){
+    alert(`不明な指標があります：${unknown.join('、')}\n使える指標：${Object.keys(ADVISOR_METRICS).join('、')}`);
+    return;
+  }
+  // 引数のない減点は常に0点になるため保存しない
+  const noParam = next.custom.find(r=>typeof r.penalty === 'object' && ADVISOR_METRICS[r.penalty.metric].param && !r.penalty[ADVISOR_METRICS[r.penalty.metric].param]);
+  if(noParam){
+    const name = ADVISOR_METRICS[noParam.penalty.metric].param;
+    alert(`「${noParam.id}」の減点の指標「${noParam.penalty.metric}」には ${name} の指定が必要です。`);
+    return;
+  }
+  advisorRules = next;
+  saveJSON(LS_ADVISOR_RULES, advisorRules);
+  renderAdvisorRules();
+  renderAlerts();
+  alert(`ルールを保存しました（追加ルール ${advisorRules.custom.length}件・無効 ${advisorRules.disabled.length}件）。`);
+});
+
+$('#exportAdvisorRules').addEventListener('click', ()=>{
+  const data = { meta: { app: 'rollingstock-planner', kind: 'advisor-rules', ver: SCHEMA_VERSION }, ...advisorRules };
+  downloadFile(JSON.stringify(data, null, 2), `rollingstock-advisor-rules_${fileTimestamp()}.json`, 'application/json');
+});
+
+$('#resetAdvisorRules').addEventListener('click', ()=>{
+  if(!confirm('追加したルールを削除し、すべての組み込みルールを有効に戻します。よろしいですか？')) return;
+  advisorRules = validateAdvisorRules(null);
+  saveJSON(LS_ADVISOR_RULES, advisorRules);
+  renderAdvisorRules();
+  renderAlerts();
+});
+
+renderAdvisorRules();
+
 /* ===============================
    Expert Analysis
 
    AI防災アドバイザー機能
-   備蓄状況を5つの観点から総合分析し、具体的なアクションを提案
+   ルールエンジンの評価結果（総合評価・スコアの内訳・推奨アクション）と備蓄状況の表を表示
 ==================================*/
 
+/**
+ * 状況の表（数値だけを並べ、判定やアドバイスはルールに任せる）
+ * @param {Array<string>} headers - 見出し
+ * @param {Array<Array<string>>} rows - 行（各セルはHTMLエスケープ済み）
+ * @returns {string} HTML
+ */
+function statusTable(headers, rows){
+  return `<table class="status-table">
+    <thead><tr>${headers.map(h=>`<th>${h}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map(r=>`<tr>${r.map(c=>`<td>${c}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+}
+
 /**
  * 専門家による備蓄分析を生成
  *
  * 分析項目：
- * 1. 総合評価（優秀/良好/要改善/緊急対応必要）
- * 2. 水・食料の充足状況（不足量の具体的な提示）
- * 3. 期限管理状況（期限切れ・期限間近の件数）
- * 4. カテゴリバランス（多様性のチェック）
- * 5. 具体的なアクション（家族構成に応じた個別提案）
+ * 1. 総合評価（優秀/良好/要改善/緊急対応必要）とスコアの内訳（ルールエンジンの評価結果）
+ * 2. 水・食料の充足状況（充足率と不足量・食事制限のあるメンバーの充足・常用薬の残り日数・生活必需品の備蓄日数・栄養バランス）
+ * 3. 期限管理状況（期限切れ・期限間近・ローリングストック推奨の件数）
+ * 4. カテゴリバランス（カテゴリごとのアイテム数・水と食料の保管場所）
+ * 5. 具体的なアクション（条件に一致したルールのメッセージと推奨アクション、重要度順）
+ * 2〜4 は状況の表示だけで、警告とアドバイスはすべて 5 のルールから出す（ルールを無効にすれば表示されない）
  *
- * @param {Array} expired - 期限切れアイテムリスト
- * @param {Array} near - 期限間近アイテムリスト
- * @param {Array} rolling - ローリングストック推奨アイテムリスト
+ * @param {Object} data - renderAlerts で集計した状況
+ *   cov：coverage() の結果、expired / near / rolling：期限切れ・期限間近・ローリングストック推奨のロット（{ item, lot }）、
+ *   forecasts：消費ペース予測（buildForecasts）、lowStock：最低在庫割れのアイテム、medicines：常用薬の残り日数（buildMedicineSupply）
+ * @returns {Object} evaluateAdvisorRules() の結果 { findings, score, grade }
  */
-function generateExpertAnalysis(expired, near, rolling){
-  const cov = coverage();
-  const totalItems = items.length;
-
-  // カテゴリ別のアイテム数を集計
-  const categories = {};
-  for(const it of items){
-    categories[it.category] = (categories[it.category] || 0) + 1;
-  }
+function generateExpertAnalysis(data){
+  const { cov, expired, near, rolling, medicines } = data;
+  const result = evaluateAdvisorRules(advisorContext(data));
 
   // 分析セクションを構築
   const sections = [];
 
-  // 1. 総合評価（充足率と期限切れ数から総合判定）
-  let overallGrade = '';
-  let overallMsg = '';
-  let gradeClass = '';
-  const avgCoverage = (cov.waterCov + cov.kcalCov) / 2;
-
-  if(avgCoverage >= 100 && expired.length === 0){
-    overallGrade = '優秀';
-    overallMsg = '備蓄体制は非常に良好です。現在の管理体制を継続してください。';
-    gradeClass = 'grade-excellent';
-  }else if(avgCoverage >= 80 && expired.length <= 2){
-    overallGrade = '良好';
-    overallMsg = '概ね良好な備蓄状態です。一部改善の余地があります。';
-    gradeClass = 'grade-good';
-  }else if(avgCoverage >= 50){
-    overallGrade = '要改善';
-    overallMsg = '備蓄が不足しています。早急に補充を検討してください。';
-    gradeClass = 'grade-warning';
-  }else{
-    overallGrade = '緊急対応必要';
-    overallMsg = '備蓄が著しく不足しています。至急、必要物資を確保してください。';
-    gradeClass = 'grade-critical';
-  }
+  // 1. 総合評価（ルールの減点を100点から引いたスコアで判定）
+  const { message: overallMsg, className: gradeClass } = HEALTH_GRADE_DETAILS[result.grade];
+  const thresholds = ADVISOR_GRADE_THRESHOLDS.filter(([min])=>min > 0).map(([min, grade])=>`${min}以上：${grade}`).join('、');
 
   sections.push(`<div class="analysis-section overall-grade">
     <h4>📊 総合評価</h4>
-    <div class="grade-badge ${gradeClass}">${overallGrade}</div>
+    <div class="grade-badge ${gradeClass}">${result.grade}</div>
     <p class="grade-message">${overallMsg}</p>
+    <p class="analysis-basis">スコア ${result.score} / 100（${thresholds}）</p>
   </div>`);
 
-  // 2. Coverage analysis
-  const coverageAnalysis = [];
-  if(cov.waterCov < 100){
-    const shortage = Math.ceil(cov.needs.needWater - cov.totals.waterL);
-    const urgency = cov.waterCov < 50 ? 'critical-shortage' : 'shortage';
-    coverageAnalysis.push(`<div class="coverage-item ${urgency}">
-      <strong>💧 水：</strong>目標の<span class="coverage-percent">${cov.waterCov}%</span>
-      <span class="shortage-amount">不足 ${shortage}L</span>
-      <div class="action-hint">→ 2Lペットボトルで約${Math.ceil(shortage/2)}本の追加購入を推奨</div>
-    </div>`);
-  }else{
-    coverageAnalysis.push(`<div class="coverage-item ok">
-      <strong>💧 水：</strong>目標達成（<span class="coverage-percent ok">${cov.waterCov}%</span>）適切に管理されています。
-    </div>`);
-  }
-
-  if(cov.kcalCov < 100){
-    const shortage = Math.ceil(cov.needs.needKcal - cov.totals.kcal);
-    const cansNeeded = Math.ceil(shortage / 300); // 1缶約300kcal想定
-    const urgency = cov.kcalCov < 50 ? 'critical-shortage' : 'shortage';
-    coverageAnalysis.push(`<div class="coverage-item ${urgency}">
-      <strong>🍱 食料：</strong>目標の<span class="coverage-percent">${cov.kcalCov}%</span>
-      <span class="shortage-amount">不足 ${fmtNum(shortage)} kcal</span>
-      <div class="action-hint">→ 缶詰・レトルト約${cansNeeded}個分の補充が必要</div>
-    </div>`);
-  }else{
-    coverageAnalysis.push(`<div class="coverage-item ok">
-      <strong>🍱 食料：</strong>目標達成（<span class="coverage-percent ok">${cov.kcalCov}%</span>）適切に管理されています。
-    </div>`);
-  }
+  // 1b. Score breakdown: which rules lowered the grade
+  const deductions = result.findings.filter(f=>f.penalty > 0);
+  sections.push(`<div class="analysis-section">
+    <h4>🧮 評価の内訳</h4>
+    ${deductions.length ? `<table class="score-breakdown">
+      <tbody>
+        <tr><td>満点</td><td></td><td class="score">100</td></tr>
+        ${deductions.map(f=>`<tr>
+          <td><span class="severity-badge ${f.rule.severity}">${ADVISOR_SEVERITY_LABELS[f.rule.severity]}</span> ${escapeHtml(f.rule.label)}</td>
+          <td>${escapeHtml(f.message)}</td>
+          <td class="score">−${fmtNum(f.penalty)}</td>
+        </tr>`).join('')}
+        <tr class="total"><td>スコア</td><td></td><td class="score">${result.score}</td></tr>
+      </tbody>
+    </table>` : '<p>減点されたルールはありません。</p>'}
+    <p class="analysis-basis">ルールの有効・無効と追加はシステム設定タブの「アドバイザーのルール」で変更できます。</p>
+  </div>`);
 
+  // 2. Coverage status (what to buy is in the actions, from the water/kcal rules)
+  const short = coverageShortfalls(cov);
+  const coverageCard = (label, percent, shortage)=>percent < 100
+    ? `<div class="coverage-item ${percent < 50 ? 'critical-shortage' : 'shortage'}">
+      <strong>${label}：</strong>目標の<span class="coverage-percent">${percent}%</span>
+      <span class="shortage-amount">不足 ${shortage}</span>
+    </div>`
+    : `<div class="coverage-item ok">
+      <strong>${label}：</strong>目標達成（<span class="coverage-percent ok">${percent}%</span>）
+    </div>`;
+  const basis = needRatesSummary();
   sections.push(`<div class="analysis-section">
     <h4>💧 水・食料の充足状況</h4>
-    <div class="coverage-grid">${coverageAnalysis.join('')}</div>
+    <div class="coverage-grid">
+      ${coverageCard('💧 水', cov.waterCov, `${short.waterL}L`)}
+      ${coverageCard('🍱 食料', cov.kcalCov, `${fmtNum(short.kcal)} kcal`)}
+    </div>
+    <p class="analysis-basis">${family.days}日分・${basis ? `設定した基準（${escapeHtml(basis)}、その他は自動算出）` : '年齢・性別・体重から算出した基準'}で計算しています。</p>
   </div>`);
 
-  // 3. Expiry management
-  const expiryAnalysis = [];
-  if(expired.length > 0){
-    expiryAnalysis.push(`<strong class="warning">⚠️ 期限切れ：${expired.length}件</strong> - 至急確認し、処分または消費を検討してください。`);
+  // Status tables below only show figures; warnings and advice come from the rules
+  // Dietary restrictions: coverage from food each restricted member can eat
+  const restricted = cov.food.members.filter(f=>f.member.restrictions.length);
+  if(restricted.length){
+    sections.push(`<div class="analysis-section">
+      <h4>🚫 食事制限・アレルギー</h4>
+      ${statusTable(['家族', '除去', '食べられる食料', '必要量', '充足率'], restricted.map(f=>[
+        escapeHtml(f.member.name),
+        escapeHtml(allergenLabels(f.member.restrictions)),
+        `${fmtNum(Math.round(f.allocated))} kcal`,
+        `${fmtNum(Math.round(f.need))} kcal`,
+        `${f.need ? Math.min(100, Math.round(f.allocated / f.need * 100)) : 100}%`
+      ]))}
+      <p class="analysis-basis">アレルゲンを登録したアイテム：${items.filter(it=>it.allergens.length).length}件</p>
+    </div>`);
   }
-  if(near.length > 0){
-    expiryAnalysis.push(`<strong class="caution">⏰ 期限間近：${near.length}件</strong> - ${alertMonths}ヶ月以内に期限が到来します。計画的に消費しましょう。`);
+
+  // Regular medicine: days each person's supply lasts
+  if(medicines.length){
+    sections.push(`<div class="analysis-section">
+      <h4>💊 常用薬</h4>
+      ${statusTable(['服用する人', '医薬品', '残り', '想定日数までの不足'], medicines.map(s=>[
+        escapeHtml(s.member ? s.member.name : '服用者未設定'),
+        escapeHtml(s.item.name),
+        `${s.daysLeft}日分`,
+        s.short ? `${fmtNum(s.reorder)} ${escapeHtml(s.item.unit||'')}` : '—'
+      ]))}
+      <p class="analysis-basis">想定日数：${family.days}日</p>
+    </div>`);
   }
-  if(rolling.length > 0){
-    expiryAnalysis.push(`<strong>🔄 ローリングストック推奨：${rolling.length}件</strong> - 日常生活で消費し、新しいものと入れ替えてください。`);
+
+  // Non-food essentials: days of coverage per person-day rule
+  const essentialRows = cov.essentials.filter(e=>e.perDay > 0);
+  if(essentialRows.length){
+    sections.push(`<div class="analysis-section">
+      <h4>🧻 生活必需品（トイレ・衛生・燃料・明かり）</h4>
+      ${statusTable(['品目', '1日量', '在庫', '備蓄日数', '数えていないアイテム'], essentialRows.map(e=>[
+        e.label,
+        `${fmtNum(e.perDay)}${e.unit}`,
+        e.items.length ? `${fmtNum(e.stock)}${e.unit}` : '未登録',
+        `${e.days} / ${e.target}日`,
+        e.uncounted.map(it=>escapeHtml(it.name)).join('、') || '—'
+      ]))}
+    </div>`);
   }
-  if(expired.length === 0 && near.length === 0){
-    expiryAnalysis.push(`<strong class="good">✅ 期限管理：良好</strong> - 期限切れ・期限間近のアイテムはありません。`);
+
+  // Nutrient balance: each nutrient against the calories of the same foods
+  const foods = items.filter(it=>it.category === 'food' || isHumanFood(it));
+  if(foods.length){
+    const entered = foods.filter(it=>Object.keys(it.nutrients).length).length;
+    const balanced = cov.nutrients.filter(n=>n.balance != null);
+    sections.push(`<div class="analysis-section">
+      <h4>🥗 栄養バランス</h4>
+      ${balanced.length ? statusTable(['栄養素', 'カロリーあたりの充足'], balanced.map(n=>[
+        n.label,
+        `${n.limit ? '上限の目安の' : '目標の'}${Math.round(n.balance * 100)}%`
+      ])) : ''}
+      <p class="analysis-basis">栄養成分の入力：${entered} / ${foods.length}品目（未入力の食品は判定に含みません）</p>
+    </div>`);
   }
 
+  // 3. Expiry status
   sections.push(`<div class="analysis-section">
     <h4>📅 期限管理状況</h4>
-    <p>${expiryAnalysis.join('<br>')}</p>
+    ${statusTable(['区分', '件数'], [
+      ['期限切れ', `${expired.length}件`],
+      [`期限間近（${alertMonths}か月以内）`, `${near.length}件`],
+      [`ローリングストック推奨（${ROLLING_SOON_DAYS}日以内）`, `${rolling.length}件`]
+    ])}
   </div>`);
 
   // 4. Category balance
-  const categoryAnalysis = [];
-  const categoryCount = Object.keys(categories).length;
-
-  if(categoryCount >= 5){
-    categoryAnalysis.push('✅ カテゴリバランスは良好です（水・食料・医薬品・生活用品など）。');
-  }else if(categoryCount >= 3){
-    categoryAnalysis.push('⚠️ カテゴリがやや偏っています。医薬品・生活用品・ツール類も検討してください。');
-  }else{
-    categoryAnalysis.push('🔴 カテゴリが偏っています。多様な備蓄を心がけましょう。');
-  }
-
-  if(!categories['medicine'] && !categories['医薬品']){
-    categoryAnalysis.push('💊 医薬品が未登録です。常備薬・救急セットを備蓄してください。');
-  }
-  if(!categories['daily'] && !categories['生活用品']){
-    categoryAnalysis.push('🧻 生活用品（トイレットペーパー、石けん等）を追加推奨。');
-  }
-
+  const categories = CATEGORIES.map(c=>[c, items.filter(it=>it.category === c).length]).filter(([, n])=>n);
   sections.push(`<div class="analysis-section">
-    <h4>📦 カテゴリバランス（${categoryCount}種類登録）</h4>
-    <p>${categoryAnalysis.join('<br>')}</p>
+    <h4>📦 カテゴリバランス（${categories.length}種類登録）</h4>
+    ${categories.length ? statusTable(['カテゴリ', 'アイテム数'], categories.map(([c, n])=>[escapeHtml(labelForCategory(c)), `${n}件`])) : ''}
   </div>`);
 
-  // 5. Actionable recommendations
-  const recommendations = [];
-
-  if(totalItems === 0){
-    recommendations.push('📝 まずは基本的な備蓄から始めましょう：水、保存食、医薬品、懐中電灯。');
-  }else{
-    if(cov.waterCov < 70) recommendations.push('💧 最優先：水の備蓄を増やしてください。');
-    if(cov.kcalCov < 70) recommendations.push('🍱 次に：長期保存可能な食料（缶詰・レトルト）を追加してください。');
-    if(expired.length > 3) recommendations.push('⚠️ 期限切れアイテムが多数あります。定期的な見直しが必要です。');
-    if(rolling.length > 5) recommendations.push('🔄 ローリングストック対象が多数あります。週次で計画的に消費しましょう。');
-
-    // Family-based recommendations
-    const totalPeople = family.adults + family.children + family.seniors;
-    const totalPets = family.dogs + family.cats;
-    if(totalPets > 0 && (!categories['pet-food'] && !categories['ペットフード'])){
-      recommendations.push('🐾 ペット用の備蓄（餌・水）を忘れずに追加してください。');
-    }
-    if(family.children > 0){
-      recommendations.push('👶 乳幼児がいる場合、粉ミルク・離乳食・おむつも必須です。');
-    }
-    if(family.seniors > 0){
-      recommendations.push('👴 高齢者向けに、常備薬・介護用品・やわらかい食品を考慮してください。');
-    }
-  }
-
-  if(recommendations.length === 0){
-    recommendations.push('✅ 現在の備蓄は充実しています。定期的なメンテナンスを継続してください。');
+  // 4b. Storage location spread (water / food)
+  const spreadRows = [['水', ['water']], ['食料', ['food']]].map(([label, cats])=>[label, Object.entries(quantityByLocation(cats))])
+    .filter(([, places])=>places.length)
+    .map(([label, places])=>[label, places.map(([place, q])=>`${escapeHtml(place || '保管場所未設定')} ${fmtNum(q)}`).join('・')]);
+  if(spreadRows.length){
+    sections.push(`<div class="analysis-section">
+      <h4>📍 保管場所の分散</h4>
+      ${statusTable(['区分', '保管場所（数量）'], spreadRows)}
+    </div>`);
   }
 
+  // 5. Actionable recommendations: every matching rule, most severe first
   sections.push(`<div class="analysis-section">
     <h4>💡 具体的なアクション</h4>
     <ul class="recommendation-list">
-      ${recommendations.map(r => `<li>${r}</li>`).join('')}
+      ${result.findings.map(f=>`<li><span class="severity-badge ${f.rule.severity}">${ADVISOR_SEVERITY_LABELS[f.rule.severity]}</span> ${escapeHtml(f.message)}${f.action ? ` → ${escapeHtml(f.action)}` : ''}</li>`).join('')
+        || '<li>✅ 現在の備蓄は充実しています。定期的なメンテナンスを継続してください。</li>'}
     </ul>
   </div>`);
 
   // Render
   $('#expertAnalysis').innerHTML = sections.join('');
+  return result;
+}
+
+/* ===============================
+   Health History
+
+   備蓄状況の推移
+   アラートを描画するたびに今日の充足率・期限切れ/期限間近の件数・総合評価を1日1件として記録し、
+   週・月単位でグラフに表示する（エクスポートにも含める）
+==================================*/
+
+// 総合評価ごとのメッセージと表示クラス
+const HEALTH_GRADE_DETAILS = {
+  '優秀': { message: '備蓄体制は非常に良好です。現在の管理体制を継続してください。', className: 'grade-excellent' },
+  '良好': { message: '概ね良好な備蓄状態です。一部改善の余地があります。', className: 'grade-good' },
+  '要改善': { message: '備蓄が不足しています。早急に補充を検討してください。', className: 'grade-warning' },
+  '緊急対応必要': { message: '備蓄が著しく不足しています。至急、必要物資を確保してください。', className: 'grade-critical' }
+};
+
+/**
+ * 今日の備蓄状況を記録（同じ日の記録は上書き。在庫が空なら記録しない）
+ * @param {Object} cov - coverage() の結果
+ * @param {Array} expired - 期限切れロットリスト
+ * @param {Array} near - 期限間近ロットリスト
+ * @param {string} grade - アドバイザーの総合評価
+ */
+function recordHealthSnapshot(cov, expired, near, grade){
+  if(!items.length) return;
+  const snapshot = {
+    date: formatDate(new Date()),
+    waterCov: cov.waterCov,
+    kcalCov: cov.kcalCov,
+    expired: expired.length,
+    near: near.length,
+    grade,
+    scoring: HEALTH_SCORING_VERSION
+  };
+  const last = healthHistory.at(-1);
+  if(last && last.date === snapshot.date){
+    if(JSON.stringify(last) === JSON.stringify(snapshot)) return;
+    healthHistory[healthHistory.length - 1] = snapshot;
+  }else{
+    healthHistory.push(snapshot);
+  }
+  healthHistory = validateHistory(healthHistory);
+  saveJSON(LS_HISTORY, healthHistory);
+}
+
+/**
+ * 表示期間内の記録
+ * @returns {Array} 記録（#trendRange の日数以内、0ならすべて）
+ */
+function historyInRange(){
+  const days = Number($('#trendRange').value);
+  if(!days) return healthHistory;
+  const from = new Date();
+  from.setDate(from.getDate() - days + 1);
+  return healthHistory.filter(h=>h.date >= formatDate(from));
+}
+
+/**
+ * 推移グラフと、総合評価が下がった日の一覧を描画
+ * （判定方法の異なる記録の間は比較せず、旧判定の総合評価は別の線で表示）
+ */
+function drawTrendChart(){
+  const ctx = $('#trendChart');
+  if(trendChart){
+    trendChart.destroy();
+    trendChart = null;
+  }
+  const rows = historyInRange();
+  // 総合評価をグラフの高さに換算（優秀=100、良好=75、要改善=50、緊急対応必要=25）
+  const gradeScore = g=>(HEALTH_GRADES.length - HEALTH_GRADES.indexOf(g)) * 25;
+  const slips = healthHistory.filter((h, i)=>i > 0 && h.scoring === healthHistory[i - 1].scoring
+    && HEALTH_GRADES.indexOf(h.grade) > HEALTH_GRADES.indexOf(healthHistory[i - 1].grade));
+  const cutover = healthHistory.find((h, i)=>i > 0 && h.scoring !== healthHistory[i - 1].scoring);
+  // 現在の判定方法の記録と旧判定の記録を別の線にする（該当しない日は null で線を切る）
+  const gradeLine = (label, current, borderDash)=>({
+    type: 'line', label, yAxisID: 'y', stepped: true, borderDash,
+    data: rows.map(h=>(h.scoring === HEALTH_SCORING_VERSION) === current ? gradeScore(h.grade) : null)
+  });
+
+  if(!healthHistory.length){
+    $('#trendSummary').textContent = '在庫を登録すると、毎日の備蓄状況を記録します';
+  }else{
+    const first = rows[0] || healthHistory.at(-1);
+    const last = healthHistory.at(-1);
+    const diff = (last.waterCov + last.kcalCov) / 2 - (first.waterCov + first.kcalCov) / 2;
+    const trend = rows.length < 2 ? '記録が1日分のため比較できません'
+      : diff > 0 ? `期間の始め（${first.date}）より充足率が平均${fmtNum(diff)}ポイント改善しています`
+      : diff < 0 ? `期間の始め（${first.date}）より充足率が平均${fmtNum(-diff)}ポイント低下しています`
+      : `期間の始め（${first.date}）から充足率は変わっていません`;
+    const slip = slips.at(-1);
+    const prev = slip && healthHistory[healthHistory.indexOf(slip) - 1];
+    $('#trendSummary').textContent = `記録 ${healthHistory.length}日分。${trend}。`
+      + (slip ? `最後に総合評価が下がったのは ${slip.date}（${prev.grade} → ${slip.grade}）です。` : '総合評価が下がった日はありません。')
+      + (cutover ? `${cutover.date} から総合評価の判定方法が変わっています（それより前は充足率と期限切れの件数による旧判定。グラフでは別の線で表示）。` : '');
+  }
+
+  if(!ctx || !rows.length) return;
+  const chartColor = getChartTextColor();
+  trendChart = new Chart(ctx, {
+    data: {
+      labels: rows.map(h=>h.date.slice(5).replace('-', '/')),
+      datasets: [
+        { type: 'line', label: '水の充足率(%)', data: rows.map(h=>h.waterCov), yAxisID: 'y', tension: 0.2 },
+        { type: 'line', label: 'カロリーの充足率(%)', data: rows.map(h=>h.kcalCov), yAxisID: 'y', tension: 0.2 },
+        gradeLine('総合評価', true, [6, 4]),
+        ...(rows.some(h=>h.scoring !== HEALTH_SCORING_VERSION) ? [gradeLine('総合評価（旧判定）', false, [2, 3])] : []),
+        { type: 'bar', label: '期限切れ(件)', data: rows.map(h=>h.expired), yAxisID: 'y1' },
+        { type: 'bar', label: '期限間近(件)', data: rows.map(h=>h.near), yAxisID: 'y1' }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { ticks: { color: chartColor } },
+        y: { ticks: { color: chartColor }, beginAtZero: true, max: 100, title: { display: true, text: '%', color: chartColor } },
+        y1: { ticks: { color: chartColor, precision: 0 }, beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: '件', color: chartColor } }
+      },
+      plugins: {
+        legend: { labels: { color: chartColor } },
+        tooltip: {
+          filter: c=>c.parsed.y !== null,
+          callbacks: {
+            title: c=>rows[c[0].dataIndex].date,
+            label: c=>c.dataset.label.startsWith('総合評価') ? `${c.dataset.label}：${rows[c.dataIndex].grade}` : `${c.dataset.label}：${c.parsed.y}`
+          }
+        }
+      }
+    }
+  });
 }
 
+$('#trendRange').addEventListener('change', drawTrendChart);
+
 /* ===============================
    Charts
 ==================================*/
@@ -1019,12 +5988,17 @@ function drawCategoryChart(){
   const ctx = $('#categoryChart');
   if(!ctx) return;
 
-  const counts = {};
-  for(const it of items){
-    counts[it.category] = (counts[it.category]||0) + (Number(it.quantity)||0);
-  }
-  const labels = Object.keys(counts).map(labelForCategory);
-  const data = Object.values(counts);
+  // 保管場所ごとにリングを分ける（保管場所が1つ以下なら1リング）
+  const categories = [...new Set(items.map(it=>it.category))];
+  const places = [...new Set(items.map(it=>it.location))];
+  const datasets = places.map(place=>{
+    const inPlace = items.filter(it=>it.location === place);
+    return {
+      label: place || '保管場所未設定',
+      data: categories.map(c=>sum(inPlace.filter(it=>it.category === c).map(itemQuantity)))
+    };
+  });
+  const labels = categories.map(labelForCategory);
 
   if(categoryChart){
     categoryChart.destroy();
@@ -1035,13 +6009,19 @@ function drawCategoryChart(){
     type: 'doughnut',
     data: {
       labels,
-      datasets:[{ data }]
+      datasets
     },
     options: {
       responsive: true,
       maintainAspectRatio: true,
       aspectRatio: 1,
       plugins:{
+        tooltip:{
+          callbacks:{
+            // 複数リングのときは保管場所名を添える
+            label: c=>`${datasets.length > 1 ? `${c.dataset.label} / ` : ''}${c.label}: ${fmtNum(c.parsed)}`
+          }
+        },
         legend:{
           labels:{
             color: getChartTextColor(),
@@ -1060,8 +6040,11 @@ function drawCategoryChart(){
   });
 }
 
-function drawCoverageCharts(){
-  const cov = coverage();
+/**
+ * 水・カロリー・栄養素・ペットフード・生活必需品の充足状況のグラフを描画
+ * @param {Object} [cov] - coverage() の結果（省略時は計算する）
+ */
+function drawCoverageCharts(cov = coverage()){
   const wctx = $('#waterChart');
   const kctx = $('#kcalChart');
 
@@ -1114,21 +6097,154 @@ function drawCoverageCharts(){
     }
   });
 
+  // Nutrient coverage (horizontal bars; salt is shown against its upper limit)
+  const nctx = $('#nutrientChart');
+  if(nutrientChart){
+    nutrientChart.destroy();
+    nutrientChart = null;
+  }
+  const targets = cov.nutrients.filter(n=>n.percent != null);
+  if(nctx && targets.length){
+    nutrientChart = new Chart(nctx, {
+      type:'bar',
+      data:{
+        labels: targets.map(n=>n.limit ? `${n.label}（上限比）` : n.label),
+        datasets:[{ data: targets.map(n=>n.percent) }]
+      },
+      options:{
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: true,
+        aspectRatio: 2,
+        scales:{
+          x:{ ticks:{ color: chartColor }, beginAtZero: true, suggestedMax: 100 },
+          y:{ ticks:{ color: chartColor } }
+        },
+        plugins:{
+          legend:{ display:false },
+          tooltip:{
+            callbacks:{
+              label: c=>{
+                const n = targets[c.dataIndex];
+                return `${c.parsed.x}%（在庫 ${fmtNum(Math.round(n.stock))} g / ${n.limit ? '上限' : '目標'} ${fmtNum(Math.round(n.need))} g）`;
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+  const foods = items.filter(it=>it.category === 'food' || isHumanFood(it));
+  const withNutrients = foods.filter(it=>Object.keys(it.nutrients).length).length;
+  $('#nutrientNote').textContent = foods.length
+    ? `栄養成分の入力済み：${withNutrients} / ${foods.length}品目（未入力の食品は含まれません）`
+    : '食品が登録されていません';
+
+  const unsized = cov.totals.waterUnsized;
+  $('#waterNote').textContent = unsized.length
+    ? `内容量が未設定の ${unsized.map(it=>it.name).join('、')} は1${unsized[0].unit || '単位'}＝1Lとして計算しています`
+    : '単位と内容量からリットルに換算しています';
+
+  // Non-food essentials: days of coverage against the planned days
+  const ectx = $('#essentialChart');
+  if(essentialChart){
+    essentialChart.destroy();
+    essentialChart = null;
+  }
+  const essentialRows = cov.essentials.filter(e=>e.perDay > 0);
+  if(ectx && essentialRows.length){
+    essentialChart = new Chart(ectx, {
+      type:'bar',
+      data:{
+        labels: essentialRows.map(e=>e.label),
+        datasets:[{ data: essentialRows.map(e=>e.days) }]
+      },
+      options:{
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: true,
+        aspectRatio: 2,
+        scales:{
+          x:{ ticks:{ color: chartColor }, beginAtZero: true, suggestedMax: family.days },
+          y:{ ticks:{ color: chartColor } }
+        },
+        plugins:{
+          legend:{ display:false },
+          tooltip:{
+            callbacks:{
+              label: c=>{
+                const e = essentialRows[c.dataIndex];
+                return `${c.parsed.x}日分（在庫 ${fmtNum(e.stock)}${e.unit} / 1日 ${fmtNum(e.perDay)}${e.unit}）`;
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+  $('#essentialNote').textContent = essentialRows.length
+    ? `想定日数 ${family.days}日（${essentialRows.filter(e=>e.days < e.target).map(e=>e.label).join('・') || 'すべて'}${essentialRows.some(e=>e.days < e.target) ? 'が不足' : '充足'}）`
+      + (essentialRows.some(e=>e.uncounted.length) ? `。単位を換算できないため数えていないもの：${essentialRows.flatMap(e=>e.uncounted.map(it=>it.name)).join('、')}` : '')
+    : '計算する品目がありません';
+
+  // Pet food coverage (kg)
+  const pctx = $('#petChart');
+  if(petChart){
+    petChart.destroy();
+    petChart = null;
+  }
+  if(pctx && cov.needs.needPetFood){
+    petChart = new Chart(pctx, {
+      type:'bar',
+      data:{
+        labels:['必要量(kg)','在庫(kg)','達成率(%)'],
+        datasets:[{ data:[cov.needs.needPetFood / 1000, cov.totals.petFoodG / 1000, cov.petFoodCov] }]
+      },
+      options:{
+        responsive: true,
+        maintainAspectRatio: true,
+        aspectRatio: 1.5,
+        scales:{
+          x:{ ticks:{ color: chartColor } },
+          y:{ ticks:{ color: chartColor }, beginAtZero: true }
+        },
+        plugins:{ legend:{ display:false } }
+      }
+    });
+  }
+
   // Family panel KPIs
   $('#needWater').textContent = `${fmtNum(cov.needs.needWater)} L`;
   $('#needKcal').textContent = `${fmtNum(cov.needs.needKcal)} kcal`;
   $('#coverage').textContent = `水 ${cov.waterCov}% ｜ カロリー ${cov.kcalCov}%`;
+
+  drawTrendChart();
 }
 
 /* ===============================
    Init
 ==================================*/
 function renderAll(){
+  renderLocations();
+  renderCatalog();
+  renderBarcodes();
   renderTable();
   renderAlerts();
+  refreshShoppingList();
+  renderShopping();
+  renderGoBags();
+  renderMealPlan();
+  renderScenario();
+  renderFamily();
 }
 renderAll();
 
+if(storageReadOnly){
+  const notice = $('#readOnlyNotice');
+  notice.textContent = `⚠️ このブラウザーには新しいバージョン（v${dataVersion({ meta: { ver: localStorage.getItem(LS_SCHEMA_VERSION) } })}）のアプリで保存したデータがあります。データを守るため読み取り専用で表示しており、変更は保存されません。アプリを更新してください（エクスポートは使えます）。`;
+  notice.hidden = false;
+}
+
 /* ===============================
    Minor helpers
 ==================================*/